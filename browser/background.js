@@ -3,33 +3,259 @@
 // VoluMod Background Service Worker
 // Manages extension state and coordinates between popup and content scripts
 
-// Global state
+import './protocol.js';
+
+const {
+  ErrorCode,
+  ProtocolError,
+  validateMessage,
+  createMessage,
+  errorResponse
+} = globalThis.VoluModProtocol;
+
+const SILENT_LEVELS = {
+  input: -60,
+  output: -60,
+  inputPeak: -60,
+  outputPeak: -60,
+  latency: 0,
+  gainReduction: 0,
+  limiterReduction: 0,
+  normalizerGain: 0,
+  loudness: null,
+  contentClass: null,
+  loudnessJumps: 0
+};
+
+// Content scripts report about every 100 ms while media plays, and once more
+// when it stops; a frame that has gone quiet for longer no longer counts
+const LEVELS_STALE_MS = 1000;
+
+// 10-band EQ curves (31 Hz to 16 kHz), as EQPreset in src/zig/processors/equalizer.zig
+const EQ_CURVES = {
+  flat: { name: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  speech: { name: 'Speech', gains: [-6, -4, -2, 0, 2, 4, 4, 2, 0, -2] },
+  music: { name: 'Music', gains: [2, 1, 0, -1, 0, 0, 1, 2, 2, 1] },
+  bass_boost: { name: 'Bass Boost', gains: [6, 5, 3, 1, 0, 0, 0, 0, 0, 0] },
+  treble_boost: { name: 'Treble Boost', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  loudness: { name: 'Loudness', gains: [6, 4, 1, 0, -1, 0, 1, 3, 4, 3] },
+  hearing_aid: { name: 'Hearing Aid', gains: [0, 0, 0, 0, 1, 3, 5, 7, 9, 10] },
+  night_mode: { name: 'Night Mode', gains: [-8, -6, -3, -1, 0, 2, 2, 1, 0, -1] }
+};
+
+// Multiband compressor bands (low, mid, high), split at crossoverHz
+const MULTIBAND_BANDS = {
+  default: [
+    { thresholdDb: -24, ratio: 3, attackMs: 20, releaseMs: 250 },
+    { thresholdDb: -18, ratio: 2, attackMs: 10, releaseMs: 150 },
+    { thresholdDb: -20, ratio: 3, attackMs: 5, releaseMs: 100 }
+  ],
+  // Rumble held down hard, dialogue left with room to breathe
+  speech: [
+    { thresholdDb: -32, ratio: 6, attackMs: 20, releaseMs: 250 },
+    { thresholdDb: -20, ratio: 2, attackMs: 10, releaseMs: 150 },
+    { thresholdDb: -24, ratio: 3, attackMs: 5, releaseMs: 100 }
+  ],
+  night: [
+    { thresholdDb: -34, ratio: 8, attackMs: 15, releaseMs: 300 },
+    { thresholdDb: -24, ratio: 3, attackMs: 10, releaseMs: 200 },
+    { thresholdDb: -28, ratio: 4, attackMs: 5, releaseMs: 120 }
+  ]
+};
+
+// The ends of the Auto preset's range. The worklet classifies what is playing
+// and glides between them: all the way for speech or music, halfway for a mix.
+const CONTENT_PROFILES = {
+  speech: { targetLufs: -16, ratio: 3, thresholdDb: -20, attackMs: 5, releaseMs: 100, eqGains: EQ_CURVES.speech.gains },
+  music: { targetLufs: -14, ratio: 2, thresholdDb: -18, attackMs: 10, releaseMs: 150, eqGains: EQ_CURVES.flat.gains }
+};
+
+// Built-in presets. Custom presets (stored in volumod_settings) use the same fields.
+const BUILTIN_PRESETS = [
+  { id: 'auto', name: 'Auto (Recommended)', targetLufs: -14, ratio: 4, noiseReduction: true, eqGains: EQ_CURVES.flat.gains, eqAdaptive: true, contentAware: true, contentProfiles: CONTENT_PROFILES },
+  { id: 'speech', name: 'Speech / Podcasts', targetLufs: -16, ratio: 3, noiseReduction: true, eqGains: EQ_CURVES.speech.gains, multiband: true, bands: MULTIBAND_BANDS.speech },
+  // Music keeps its quiet intros and loud choruses, so no jump guard
+  { id: 'music', name: 'Music', targetLufs: -14, ratio: 2, noiseReduction: false, eqGains: EQ_CURVES.music.gains, jumpGuard: false },
+  { id: 'night', name: 'Night Mode', targetLufs: -20, ratio: 6, noiseReduction: true, eqGains: EQ_CURVES.night_mode.gains, multiband: true, bands: MULTIBAND_BANDS.night },
+  { id: 'hearing', name: 'Hearing Assistance', targetLufs: -12, ratio: 4, noiseReduction: true, eqGains: EQ_CURVES.hearing_aid.gains }
+].map(preset => ({
+  thresholdDb: -18,
+  kneeDb: 4,
+  attackMs: 10,
+  releaseMs: 150,
+  makeupDb: 4,
+  ceilingDb: -0.5,
+  // Kept short: browsers don't delay the picture to match
+  lookaheadMs: 5,
+  eqAdaptive: false,
+  stereoLink: 'max',
+  midSide: false,
+  multiband: false,
+  bands: MULTIBAND_BANDS.default,
+  crossoverHz: [200, 2500],
+  contentAware: false,
+  jumpGuard: true,
+  jumpThresholdDb: 10,
+  ...preset,
+  builtin: true
+}));
+
+const STEREO_LINKS = ['max', 'sum'];
+
+// Allowed range for each numeric preset parameter
+const PRESET_LIMITS = {
+  targetLufs: [-31, -5],
+  thresholdDb: [-60, 0],
+  ratio: [1, 20],
+  kneeDb: [0, 24],
+  attackMs: [0.1, 200],
+  releaseMs: [10, 2000],
+  makeupDb: [0, 24],
+  ceilingDb: [-12, 0],
+  lookaheadMs: [1, 100],
+  eqGainDb: [-24, 24],
+  crossoverHz: [40, 12000],
+  jumpThresholdDb: [4, 30]
+};
+
+// Limits that apply to each entry of a list field rather than a field itself
+const LIST_LIMITS = ['eqGainDb', 'crossoverHz'];
+
+// Per-band multiband settings, clamped with the single-band limits
+const BAND_FIELDS = ['thresholdDb', 'ratio', 'attackMs', 'releaseMs'];
+
+// Global state. isBypassed/preset are the defaults for tabs on sites without
+// a remembered profile; each connected tab then carries its own copy.
 const state = {
   isActive: true,
   isBypassed: false,
   preset: 'auto',
-  levels: { input: -60, output: -60 },
-  connectedTabs: new Map()
+  connectedTabs: new Map(),
+  siteProfiles: {},
+  webAudioSites: [],
+  customPresets: []
 };
 
-// Initialize
+// Main-world script that routes page AudioContexts through VoluMod; it is
+// only registered for the origins in state.webAudioSites
+const WEB_AUDIO_HOOK_ID = 'volumod-web-audio-hook';
+
+// Connected tabs outlive the service worker, which Chrome stops when idle;
+// their settings are kept in session storage until the browser closes
+const SESSION_TABS_KEY = 'volumod_tabs';
+
+// Initialize. The worker starts afresh on every wake, so state is restored
+// each time rather than on install or browser startup alone. Every event
+// handler waits for it.
+const ready = restoreState();
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('VoluMod: Extension installed');
-  loadSettings();
 });
 
-chrome.runtime.onStartup.addListener(() => {
-  loadSettings();
-});
+async function restoreState() {
+  try {
+    await loadSettings();
+    await loadTabs();
+    await discoverTabs();
+  } catch (e) {
+    console.error('VoluMod: Failed to restore state', e);
+  }
+}
 
 // Load settings from storage
-function loadSettings() {
-  chrome.storage.local.get(['volumod_settings'], (result) => {
-    if (result.volumod_settings) {
-      state.isBypassed = result.volumod_settings.isBypassed || false;
-      state.preset = result.volumod_settings.preset || 'auto';
+async function loadSettings() {
+  const result = await chrome.storage.local.get([
+    'volumod_settings',
+    'volumod_site_profiles',
+    'volumod_web_audio_sites'
+  ]);
+  if (result.volumod_settings) {
+    state.isBypassed = result.volumod_settings.isBypassed || false;
+    state.preset = result.volumod_settings.preset || 'auto';
+    // Saved by an older build, or damaged: filled out and clamped like new ones
+    const stored = result.volumod_settings.customPresets;
+    state.customPresets = (Array.isArray(stored) ? stored : [])
+      .filter(preset => preset !== null && typeof preset === 'object')
+      .map(sanitizePreset);
+    if (!getPresets().some(p => p.id === state.preset)) state.preset = 'auto';
+  }
+  state.siteProfiles = result.volumod_site_profiles || {};
+  state.webAudioSites = result.volumod_web_audio_sites || [];
+  syncWebAudioHook();
+}
+
+// Tabs connected before the worker last stopped. Levels are not kept; they
+// go stale within a second and the content scripts keep reporting.
+async function loadTabs() {
+  const result = await chrome.storage.session.get(SESSION_TABS_KEY);
+  (result[SESSION_TABS_KEY] || []).forEach((tab) => {
+    state.connectedTabs.set(tab.tabId, { ...tab, frameLevels: new Map() });
+  });
+}
+
+function saveTabs() {
+  const tabs = [...state.connectedTabs.values()].map(({ frameLevels, ...tab }) => tab);
+  chrome.storage.session.set({ [SESSION_TABS_KEY]: tabs }).catch((e) => {
+    console.error('VoluMod: Failed to save tab state', e);
+  });
+}
+
+// Ask every open tab whether its content script is still running. Tabs that
+// answer are kept, or adopted with the settings they are already playing
+// with if the session copy was lost; the rest are dropped. Each live tab is
+// then sent its settings again, so it matches what the popup will show.
+async function discoverTabs() {
+  const tabs = await chrome.tabs.query({});
+  const live = new Map();
+
+  await Promise.all(tabs.map(async (tab) => {
+    try {
+      const reply = await chrome.tabs.sendMessage(tab.id, createMessage('PING'), { frameId: 0 });
+      if (reply && reply.success) live.set(tab.id, { tab, reply });
+    } catch (e) {
+      // No content script: a browser page, or one loaded before install
+    }
+  }));
+
+  state.connectedTabs.forEach((tab, tabId) => {
+    const found = live.get(tabId);
+    if (!found || originOf(found.tab.url) !== tab.origin) state.connectedTabs.delete(tabId);
+  });
+
+  live.forEach(({ tab, reply }, tabId) => {
+    if (state.connectedTabs.has(tabId)) {
+      state.connectedTabs.get(tabId).connected = true;
+    } else {
+      const origin = originOf(tab.url);
+      const known = getPresets().some(p => p.id === reply.preset);
+      state.connectedTabs.set(tabId, {
+        ...newTab(tabId, tab.url, origin),
+        isBypassed: reply.bypassed,
+        preset: known ? reply.preset : 'auto'
+      });
     }
+    sendTabState(tabId);
+    updateIcon(tabId);
   });
+
+  saveTabs();
+  console.log(`VoluMod: Restored ${state.connectedTabs.size} connected tab(s)`);
+}
+
+// State for a tab whose content script has just connected
+function newTab(tabId, url, origin) {
+  return {
+    tabId,
+    url,
+    origin,
+    connected: true,
+    ...getProfile(origin),
+    frameLevels: new Map(),
+    fallback: null,
+    taintedOrigins: [],
+    loudness: null
+  };
 }
 
 // Save settings to storage
@@ -37,150 +263,699 @@ function saveSettings() {
   chrome.storage.local.set({
     volumod_settings: {
       isBypassed: state.isBypassed,
-      preset: state.preset
+      preset: state.preset,
+      customPresets: state.customPresets
+    }
+  });
+}
+
+function getPresets() {
+  return [...BUILTIN_PRESETS, ...state.customPresets];
+}
+
+// Clamp a custom preset from the options page into valid ranges
+function sanitizePreset(preset) {
+  const base = BUILTIN_PRESETS[0];
+  const clean = {
+    id: String(preset.id),
+    name: String(preset.name || 'Custom').slice(0, 40),
+    noiseReduction: Boolean(preset.noiseReduction),
+    eqAdaptive: Boolean(preset.eqAdaptive),
+    // Compressor detection: loudest channel or summed channel power
+    stereoLink: STEREO_LINKS.includes(preset.stereoLink) ? preset.stereoLink : 'max',
+    // Multiband replaces mid/side; the worklet can't run both
+    midSide: Boolean(preset.midSide) && !preset.multiband,
+    multiband: Boolean(preset.multiband),
+    // On unless turned off, including for presets saved before it existed
+    jumpGuard: preset.jumpGuard !== false,
+    // Only the built-in Auto preset adapts to what is playing
+    contentAware: false
+  };
+  const clamp = (value, [min, max], fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+  };
+  Object.entries(PRESET_LIMITS).forEach(([key, limits]) => {
+    if (!LIST_LIMITS.includes(key)) clean[key] = clamp(preset[key], limits, base[key]);
+  });
+  const gains = Array.isArray(preset.eqGains) ? preset.eqGains : [];
+  clean.eqGains = EQ_CURVES.flat.gains.map((flat, band) => clamp(gains[band], PRESET_LIMITS.eqGainDb, flat));
+
+  const bands = Array.isArray(preset.bands) ? preset.bands : [];
+  clean.bands = MULTIBAND_BANDS.default.map((fallback, index) => {
+    const band = bands[index] || {};
+    return Object.fromEntries(BAND_FIELDS.map(key =>
+      [key, clamp(band[key], PRESET_LIMITS[key], fallback[key])]));
+  });
+  // The splits must stay in order, with the low one below the high one
+  const crossovers = Array.isArray(preset.crossoverHz) ? preset.crossoverHz : [];
+  const low = clamp(crossovers[0], PRESET_LIMITS.crossoverHz, base.crossoverHz[0]);
+  const high = clamp(crossovers[1], PRESET_LIMITS.crossoverHz, base.crossoverHz[1]);
+  clean.crossoverHz = low < high ? [low, high] : base.crossoverHz;
+  return clean;
+}
+
+// Full parameter set for a tab: preset values with the site's overrides on top
+function resolveSettings(presetId, params) {
+  const preset = getPresets().find(p => p.id === presetId) || BUILTIN_PRESETS[0];
+  const { id, name, builtin, ...values } = preset;
+  const settings = { ...values, ...params };
+
+  // A loudness nudge moves both ends of a content-aware range
+  if (settings.contentAware && settings.targetLufs !== values.targetLufs) {
+    const shift = settings.targetLufs - values.targetLufs;
+    settings.contentProfiles = Object.fromEntries(Object.entries(values.contentProfiles)
+      .map(([kind, profile]) => [kind, { ...profile, targetLufs: profile.targetLufs + shift }]));
+  }
+  return settings;
+}
+
+function saveSiteProfiles() {
+  chrome.storage.local.set({ volumod_site_profiles: state.siteProfiles });
+}
+
+// Register the main-world hook for exactly the opted-in sites. It has to run
+// at document_start, before the page builds its graph, so changes apply on
+// the next page load.
+async function syncWebAudioHook() {
+  const matches = state.webAudioSites.map(origin => `${origin}/*`);
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [WEB_AUDIO_HOOK_ID] });
+    if (matches.length === 0) {
+      if (registered.length) await chrome.scripting.unregisterContentScripts({ ids: [WEB_AUDIO_HOOK_ID] });
+      return;
+    }
+    const script = {
+      id: WEB_AUDIO_HOOK_ID,
+      js: ['webaudio-hook.js'],
+      matches,
+      runAt: 'document_start',
+      allFrames: true,
+      world: 'MAIN'
+    };
+    if (registered.length) {
+      await chrome.scripting.updateContentScripts([script]);
+    } else {
+      await chrome.scripting.registerContentScripts([script]);
+    }
+  } catch (e) {
+    console.error('VoluMod: Failed to register Web Audio hook', e);
+  }
+}
+
+// Origin used to key site profiles, or null for non-web pages
+function originOf(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Whether a site has opted in to Web Audio processing
+function isWebAudioSite(origin) {
+  return Boolean(origin && state.webAudioSites.includes(origin));
+}
+
+// Starting settings for an origin: its remembered profile, else the global ones
+function getProfile(origin) {
+  const site = origin && state.siteProfiles[origin];
+  if (site) {
+    return { preset: site.preset, isBypassed: site.isBypassed, params: site.params || {} };
+  }
+  return { preset: state.preset, isBypassed: state.isBypassed, params: {} };
+}
+
+// Change one tab's settings; a remembered site keeps the change for next time
+function updateTab(tabId, changes) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return false;
+
+  Object.assign(tab, changes);
+  const site = tab.origin && state.siteProfiles[tab.origin];
+  if (site) {
+    Object.assign(site, changes);
+    saveSiteProfiles();
+  }
+
+  saveTabs();
+  sendTabState(tabId);
+  updateIcon(tabId);
+  return true;
+}
+
+// Send a tab's settings to all its frames, or only to the frame given along
+// with what applies to that frame alone
+function sendTabState(tabId, frameId, frameFields = {}) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return;
+  chrome.tabs.sendMessage(tabId, createMessage('INIT_STATE', {
+    bypassed: tab.isBypassed,
+    preset: tab.preset,
+    settings: resolveSettings(tab.preset, tab.params),
+    taintedOrigins: tab.taintedOrigins,
+    ...frameFields
+  }), frameId === undefined ? {} : { frameId }).catch(() => {
+    // Tab might have been closed; a single frame may just have gone away,
+    // and a tab between pages has nothing to receive it yet
+    if (frameId === undefined && tab.connected && state.connectedTabs.delete(tabId)) saveTabs();
+  });
+
+  // Keep an open popup in step, e.g. after a keyboard shortcut
+  notifyPopup('STATE_UPDATE', {
+    tabId,
+    bypassed: tab.isBypassed,
+    preset: tab.preset,
+    dialogue: Boolean(tab.params && tab.params.dialogue)
+  });
+}
+
+function notifyPopup(type, fields) {
+  chrome.runtime.sendMessage(createMessage(type, fields)).catch(() => {
+    // Popup might not be open
+  });
+}
+
+// Reply for GET_STATE: the tab's own settings, or what it would start with
+function describeTab(tabId, origin) {
+  const tab = state.connectedTabs.get(tabId);
+  const settings = tab || getProfile(origin);
+  return {
+    isActive: state.isActive,
+    connected: Boolean(tab && tab.connected),
+    bypassed: settings.isBypassed,
+    preset: settings.preset,
+    params: settings.params,
+    siteRemembered: Boolean(origin && state.siteProfiles[origin]),
+    webAudio: isWebAudioSite(origin),
+    levels: tab ? combineLevels(tab.frameLevels) : SILENT_LEVELS,
+    fallback: tab ? tab.fallback : null
+  };
+}
+
+// Frames play into the same output, so RMS adds as power and peaks take the max
+function combineLevels(frameLevels) {
+  const levels = { ...SILENT_LEVELS };
+  const now = Date.now();
+  let inputPower = 0;
+  let outputPower = 0;
+  let loudestOutput = -Infinity;
+
+  frameLevels.forEach((frame) => {
+    // Each frame's count is a running total, so it counts even when stale
+    levels.loudnessJumps += frame.loudnessJumps;
+    if (now - frame.time > LEVELS_STALE_MS) return;
+    // Silent frames sit at the meter floor and would otherwise add up
+    if (frame.input > SILENT_LEVELS.input) inputPower += Math.pow(10, frame.input / 10);
+    if (frame.output > SILENT_LEVELS.output) outputPower += Math.pow(10, frame.output / 10);
+    levels.inputPeak = Math.max(levels.inputPeak, frame.inputPeak);
+    levels.outputPeak = Math.max(levels.outputPeak, frame.outputPeak);
+    levels.latency = Math.max(levels.latency, frame.latency);
+    levels.gainReduction = Math.max(levels.gainReduction, frame.gainReduction);
+    levels.limiterReduction = Math.max(levels.limiterReduction, frame.limiterReduction);
+    if (frame.output > loudestOutput) {
+      loudestOutput = frame.output;
+      levels.normalizerGain = frame.normalizerGain;
+      levels.contentClass = frame.contentClass;
     }
+    if (frame.loudness !== null && (levels.loudness === null || frame.loudness > levels.loudness)) {
+      levels.loudness = frame.loudness;
+    }
+  });
+
+  if (inputPower > 0) {
+    levels.input = Math.max(SILENT_LEVELS.input, 10 * Math.log10(inputPower));
+  }
+  if (outputPower > 0) {
+    levels.output = Math.max(SILENT_LEVELS.output, 10 * Math.log10(outputPower));
+  }
+  return levels;
+}
+
+function getActiveTabId(callback) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) callback(tabs[0].id);
   });
 }
 
-// Handle messages from popup and content scripts
+// Handle messages from popup and content scripts. A message may be what woke
+// the worker, so it is only handled once state has been restored.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const error = validateMessage(message);
+  if (error) {
+    console.error('VoluMod: Rejected message', error.toJSON());
+    sendResponse(errorResponse(error));
+    return false;
+  }
+
+  ready.then(() => handleMessage(message, sender, sendResponse));
+  return true; // Keep message channel open for async response
+});
+
+function handleMessage(message, sender, sendResponse) {
   switch (message.type) {
     case 'SET_BYPASS':
-      state.isBypassed = message.bypassed;
-      saveSettings();
-      broadcastToTabs({ type: 'SET_BYPASS', bypassed: state.isBypassed });
-      sendResponse({ success: true });
+      sendResponse({ success: updateTab(message.tabId, { isBypassed: message.bypassed }) });
       break;
 
     case 'SET_PRESET':
+      sendResponse({ success: setTabPreset(message.tabId, message.preset) });
+      break;
+
+    case 'SET_DIALOGUE':
+      sendResponse({ success: setTabDialogue(message.tabId, message.enabled) });
+      break;
+
+    case 'APPLY_TO_ALL_TABS':
+      // The old global behaviour: new defaults, pushed to every tab
+      state.isBypassed = message.bypassed;
       state.preset = message.preset;
       saveSettings();
-      broadcastToTabs({ type: 'SET_PRESET', preset: state.preset });
-      sendResponse({ success: true });
+      // except to tabs on a site with remembered settings, which keep them
+      let skipped = 0;
+      state.connectedTabs.forEach((tab, tabId) => {
+        if (tab.origin && state.siteProfiles[tab.origin]) {
+          skipped++;
+          return;
+        }
+        tab.isBypassed = state.isBypassed;
+        tab.preset = state.preset;
+        sendTabState(tabId);
+        updateIcon(tabId);
+      });
+      saveTabs();
+      sendResponse({ success: true, skipped });
       break;
 
-    case 'GET_STATE':
-      sendResponse({
-        isActive: state.isActive,
-        isBypassed: state.isBypassed,
-        preset: state.preset,
-        levels: state.levels
+    case 'GET_PRESETS':
+      sendResponse({ presets: getPresets(), limits: PRESET_LIMITS, eqCurves: EQ_CURVES });
+      break;
+
+    case 'SAVE_CUSTOM_PRESETS': {
+      state.customPresets = (message.customPresets || []).map(sanitizePreset);
+      if (!getPresets().some(p => p.id === state.preset)) state.preset = 'auto';
+      saveSettings();
+      // Tabs on a preset that was edited or deleted pick up the change
+      state.connectedTabs.forEach((tab, tabId) => {
+        if (!BUILTIN_PRESETS.some(p => p.id === tab.preset)) {
+          if (!state.customPresets.some(p => p.id === tab.preset)) tab.preset = 'auto';
+          sendTabState(tabId);
+        }
       });
+      saveTabs();
+      sendResponse({ success: true, presets: getPresets() });
       break;
+    }
 
-    case 'GET_LEVELS':
-      sendResponse({ levels: state.levels });
+    case 'SET_SITE_PROFILE': {
+      const origin = message.origin;
+      if (!origin) {
+        sendResponse(errorResponse(new ProtocolError(ErrorCode.NO_ORIGIN, 'No site to remember')));
+        break;
+      }
+      if (message.remember) {
+        // The tab's loudness nudge and dialogue setting are remembered too
+        const tab = state.connectedTabs.get(message.tabId);
+        const existing = state.siteProfiles[origin];
+        const params = tab && tab.origin === origin ? tab.params : existing && existing.params;
+        state.siteProfiles[origin] = {
+          preset: message.preset,
+          isBypassed: message.bypassed,
+          params: { ...params }
+        };
+      } else {
+        delete state.siteProfiles[origin];
+      }
+      saveSiteProfiles();
+      sendResponse({ success: true, remembered: Boolean(message.remember) });
       break;
+    }
 
-    case 'LEVELS_UPDATE':
-      state.levels = { input: message.input, output: message.output };
-      // Forward to popup if open
-      chrome.runtime.sendMessage({
-        type: 'LEVELS_UPDATE',
-        input: message.input,
-        output: message.output
-      }).catch(() => {
-        // Popup might not be open
+    case 'SET_WEB_AUDIO': {
+      const origin = message.origin;
+      if (!origin) {
+        sendResponse(errorResponse(new ProtocolError(ErrorCode.NO_ORIGIN, 'No site to hook')));
+        break;
+      }
+      state.webAudioSites = state.webAudioSites.filter(site => site !== origin);
+      if (message.enabled) state.webAudioSites.push(origin);
+      chrome.storage.local.set({ volumod_web_audio_sites: state.webAudioSites });
+      syncWebAudioHook().then(() => {
+        sendResponse({ success: true, enabled: Boolean(message.enabled) });
       });
+      break;
+    }
+
+    case 'GET_STATE':
+      sendResponse(describeTab(message.tabId, message.origin));
+      break;
+
+    case 'GET_LEVELS': {
+      // Combined now, so frames that stopped reporting drop out
+      const tab = state.connectedTabs.get(message.tabId);
+      sendResponse({ levels: tab ? combineLevels(tab.frameLevels) : SILENT_LEVELS });
+      break;
+    }
+
+    case 'LEVELS_UPDATE': {
+      const tab = state.connectedTabs.get(sender.tab.id);
+      if (tab) {
+        // Every frame meters its own media; the tab shows them combined
+        tab.frameLevels.set(sender.frameId, {
+          input: message.input,
+          output: message.output,
+          inputPeak: message.inputPeak,
+          outputPeak: message.outputPeak,
+          latency: message.latency,
+          gainReduction: message.gainReduction,
+          limiterReduction: message.limiterReduction,
+          normalizerGain: message.normalizerGain,
+          loudness: message.loudness,
+          contentClass: message.contentClass,
+          loudnessJumps: message.loudnessJumps,
+          time: Date.now()
+        });
+        const levels = combineLevels(tab.frameLevels);
+        // Kept through pauses, when the frames stop reporting it
+        if (levels.loudness !== null) tab.loudness = levels.loudness;
+        notifyPopup('LEVELS_UPDATE', { tabId: sender.tab.id, ...levels });
+        updateIcon(sender.tab.id);
+      }
       sendResponse({ success: true });
       break;
+    }
 
-    case 'START_NOISE_LEARN':
-      broadcastToTabs({ type: 'START_NOISE_LEARN' });
+    case 'MEDIA_FALLBACK': {
+      // Media the content script couldn't process through Web Audio
+      const tab = state.connectedTabs.get(sender.tab.id);
+      if (tab) {
+        tab.fallback = message.mode === 'recovered'
+          ? null
+          : { mode: message.mode, mediaOrigin: message.mediaOrigin };
+        if (message.mode === 'reload' && message.mediaOrigin &&
+          !tab.taintedOrigins.includes(message.mediaOrigin)) {
+          tab.taintedOrigins.push(message.mediaOrigin);
+        }
+        saveTabs();
+        notifyPopup('MEDIA_FALLBACK', {
+          tabId: sender.tab.id,
+          mode: message.mode,
+          mediaOrigin: message.mediaOrigin
+        });
+      }
       sendResponse({ success: true });
       break;
+    }
+
+    case 'GET_HISTORY': {
+      // Each frame keeps its own history; show the one that has heard the most
+      const tab = state.connectedTabs.get(message.tabId);
+      if (!tab) {
+        sendResponse({ history: null });
+        break;
+      }
+      const frameIds = new Set([0, ...tab.frameLevels.keys()]);
+      Promise.all([...frameIds].map(frameId =>
+        chrome.tabs.sendMessage(message.tabId, createMessage('GET_HISTORY'), { frameId })
+          .then(response => response && response.history, () => null)
+      )).then((histories) => {
+        const measured = (history) => history ? history.points.filter(p => p.output !== null).length : -1;
+        const history = histories.reduce((best, h) => measured(h) > measured(best) ? h : best, null);
+        sendResponse({ history });
+      });
+      break;
+    }
 
-    case 'STOP_NOISE_LEARN':
-      broadcastToTabs({ type: 'STOP_NOISE_LEARN' });
+    case 'START_NOISE_LEARN':
+      chrome.tabs.sendMessage(message.tabId, createMessage(message.type)).catch(() => {});
       sendResponse({ success: true });
       break;
 
-    case 'TAB_CONNECTED':
-      state.connectedTabs.set(sender.tab.id, {
-        tabId: sender.tab.id,
-        url: sender.tab.url,
-        connected: true
+    case 'STOP_NOISE_LEARN': {
+      // Each frame learns from its own media; report a profile if any learned one
+      const tab = state.connectedTabs.get(message.tabId);
+      const frameIds = new Set([0, ...(tab ? tab.frameLevels.keys() : [])]);
+      Promise.all([...frameIds].map(frameId =>
+        chrome.tabs.sendMessage(message.tabId, createMessage('STOP_NOISE_LEARN'), { frameId })
+          .then(response => response && response.profile, () => null)
+      )).then((profiles) => {
+        sendResponse({ success: true, profile: profiles.find(Boolean) || null });
       });
-      // Send current state to newly connected tab
-      chrome.tabs.sendMessage(sender.tab.id, {
-        type: 'INIT_STATE',
-        isBypassed: state.isBypassed,
-        preset: state.preset
-      }).catch(() => {});
+      break;
+    }
+
+    case 'TAB_CONNECTED': {
+      const tabId = sender.tab.id;
+      const origin = originOf(sender.tab.url);
+      const existing = state.connectedTabs.get(tabId);
+
+      // Reloads and frames on the same site keep the tab's settings;
+      // navigating to another site starts from that site's profile
+      if (!existing || existing.origin !== origin) {
+        state.connectedTabs.set(tabId, newTab(tabId, sender.tab.url, origin));
+      } else if (sender.frameId === 0) {
+        // A reload; tainted media origins are kept so they now play directly
+        existing.connected = true;
+        existing.fallback = null;
+        existing.loudness = null;
+      }
+      // Navigation clears the badge, so it is drawn afresh
+      badges.delete(tabId);
+      saveTabs();
+      // Frames already running have their settings; only the new one needs
+      // them. The Web Audio hook is registered per site, frames included.
+      sendTabState(tabId, sender.frameId, { webAudio: isWebAudioSite(originOf(sender.url)) });
+      updateIcon(tabId);
       sendResponse({ success: true });
       break;
+    }
 
-    case 'TAB_DISCONNECTED':
-      state.connectedTabs.delete(sender.tab.id);
+    case 'TAB_DISCONNECTED': {
+      const tab = state.connectedTabs.get(sender.tab.id);
+      if (!tab) {
+        sendResponse({ success: true });
+        break;
+      }
+      // Subframes come and go. The top frame unloading may be a reload, so
+      // the tab is kept until it is closed or connects from another site.
+      if (sender.frameId === 0) {
+        tab.connected = false;
+        tab.frameLevels.clear();
+        saveTabs();
+      } else {
+        tab.frameLevels.delete(sender.frameId);
+      }
       sendResponse({ success: true });
       break;
+    }
 
     default:
-      sendResponse({ error: 'Unknown message type' });
+      // A valid message meant for the popup or a content script
+      sendResponse(errorResponse(new ProtocolError(
+        ErrorCode.UNEXPECTED_MESSAGE,
+        `The background does not handle ${message.type}`,
+        { type: message.type }
+      )));
   }
-
-  return true; // Keep message channel open for async response
-});
-
-// Broadcast message to all connected tabs
-function broadcastToTabs(message) {
-  state.connectedTabs.forEach((info, tabId) => {
-    chrome.tabs.sendMessage(tabId, message).catch(() => {
-      // Tab might have been closed
-      state.connectedTabs.delete(tabId);
-    });
-  });
 }
 
 // Handle tab removal
 chrome.tabs.onRemoved.addListener((tabId) => {
-  state.connectedTabs.delete(tabId);
+  badges.delete(tabId);
+  flashes.delete(tabId);
+  ready.then(() => {
+    if (state.connectedTabs.delete(tabId)) saveTabs();
+  });
 });
 
+function toggleTabBypass(tabId) {
+  const tab = state.connectedTabs.get(tabId);
+  if (tab) updateTab(tabId, { isBypassed: !tab.isBypassed });
+}
+
+// A new preset brings its own loudness target, replacing any nudge
+function setTabPreset(tabId, preset) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return false;
+  const { targetLufs, ...params } = tab.params || {};
+  return updateTab(tabId, { preset, params });
+}
+
+// Step through the preset list, wrapping at either end
+function cycleTabPreset(tabId, direction) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return;
+  const presets = getPresets();
+  const index = presets.findIndex(p => p.id === tab.preset);
+  const next = presets[(index + direction + presets.length) % presets.length];
+  setTabPreset(tabId, next.id);
+}
+
+// Move the tab's loudness target, kept as an override on top of its preset
+function nudgeTabLoudness(tabId, step) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return;
+  const [min, max] = PRESET_LIMITS.targetLufs;
+  const current = resolveSettings(tab.preset, tab.params).targetLufs;
+  const targetLufs = Math.max(min, Math.min(max, current + step));
+  updateTab(tabId, { params: { ...tab.params, targetLufs } });
+}
+
+// Dialogue enhancement is an override like a loudness nudge, so it stays on
+// through preset changes
+function setTabDialogue(tabId, enabled) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return false;
+  return updateTab(tabId, { params: { ...tab.params, dialogue: enabled } });
+}
+
+// What the tab is doing, as a sentence for speech
+function describeStatus(tabId) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return 'VoluMod is not running on this tab';
+  if (tab.isBypassed) return 'VoluMod bypassed';
+  const { name, targetLufs, dialogue } = { ...getPresets().find(p => p.id === tab.preset), ...tab.params };
+  const status = `VoluMod active. ${name || tab.preset}. Target ${targetLufs} LUFS`;
+  return dialogue ? `${status}. Dialogue enhanced` : status;
+}
+
 // Handle extension icon click - toggle bypass
 chrome.action.onClicked.addListener((tab) => {
-  state.isBypassed = !state.isBypassed;
-  saveSettings();
-  broadcastToTabs({ type: 'SET_BYPASS', bypassed: state.isBypassed });
-
-  // Update icon to reflect state
-  updateIcon();
+  ready.then(() => toggleTabBypass(tab.id));
 });
 
-function updateIcon() {
-  const iconPath = state.isBypassed
-    ? {
-        16: 'icons/icon16-gray.png',
-        32: 'icons/icon32-gray.png',
-        48: 'icons/icon48-gray.png',
-        128: 'icons/icon128-gray.png'
+// Compression deeper than this shows on the badge instead of the preset
+const HEAVY_REDUCTION_DB = 6;
+const SEVERE_REDUCTION_DB = 12;
+
+const BADGE_COLORS = {
+  active: '#2e7d32',
+  heavy: '#e65100',
+  severe: '#c62828',
+  bypassed: '#616161',
+  command: '#4a90d9'
+};
+
+// What each tab's badge last showed, so level updates only touch the toolbar
+// when something visible changes
+const badges = new Map();
+
+// Command results showing on a tab's badge in place of its status
+const flashes = new Map();
+
+// Badge and tooltip for a tab: the preset's initial while processing, the
+// gain reduction when the compressor is working hard, or OFF when bypassed
+function updateIcon(tabId) {
+  const tab = state.connectedTabs.get(tabId);
+  let text = '';
+  let color = BADGE_COLORS.active;
+  let title = 'VoluMod - Audio Optimizer';
+
+  if (tab) {
+    const { gainReduction } = combineLevels(tab.frameLevels);
+    const preset = getPresets().find(p => p.id === tab.preset) || { name: tab.preset };
+    const loudness = typeof tab.loudness === 'number'
+      ? `${tab.loudness.toFixed(1)} LUFS`
+      : 'not measured yet';
+
+    if (tab.isBypassed) {
+      text = 'OFF';
+      color = BADGE_COLORS.bypassed;
+      title = `VoluMod - Bypassed\nIntegrated loudness: ${loudness}`;
+    } else {
+      if (gainReduction >= HEAVY_REDUCTION_DB) {
+        text = `-${Math.round(gainReduction)}`;
+        color = gainReduction >= SEVERE_REDUCTION_DB ? BADGE_COLORS.severe : BADGE_COLORS.heavy;
+      } else {
+        text = preset.name.charAt(0).toUpperCase();
       }
-    : {
-        16: 'icons/icon16.png',
-        32: 'icons/icon32.png',
-        48: 'icons/icon48.png',
-        128: 'icons/icon128.png'
-      };
+      title = `VoluMod - ${preset.name}\nIntegrated loudness: ${loudness}` +
+        `\nGain reduction: ${gainReduction.toFixed(1)} dB`;
+    }
+  }
+
+  if (flashes.has(tabId)) {
+    text = flashes.get(tabId);
+    color = BADGE_COLORS.command;
+  }
 
-  chrome.action.setIcon({ path: iconPath }).catch(() => {});
+  const previous = badges.get(tabId) || {};
+  if (text !== previous.text || color !== previous.color) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+    chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  }
+  if (title !== previous.title) {
+    chrome.action.setTitle({ tabId, title }).catch(() => {});
+  }
+  badges.set(tabId, { text, color, title });
+}
 
-  const title = state.isBypassed
-    ? 'VoluMod - Bypassed (Click to activate)'
-    : 'VoluMod - Active (Click to bypass)';
+// How long a command's result stays on the toolbar badge
+const COMMAND_BADGE_MS = 2000;
 
-  chrome.action.setTitle({ title }).catch(() => {});
+// Short toolbar badge confirming a keyboard command, e.g. "OFF" or "-13"
+function flashBadge(tabId, text) {
+  flashes.set(tabId, text);
+  updateIcon(tabId);
+  setTimeout(() => {
+    flashes.delete(tabId);
+    updateIcon(tabId);
+  }, COMMAND_BADGE_MS);
 }
 
-// Keyboard shortcuts
-chrome.commands?.onCommand.addListener((command) => {
+// Badge text for a tab after a command
+function commandBadge(tabId, command) {
+  const tab = state.connectedTabs.get(tabId);
+  if (!tab) return '';
   switch (command) {
     case 'toggle-bypass':
-      state.isBypassed = !state.isBypassed;
-      saveSettings();
-      broadcastToTabs({ type: 'SET_BYPASS', bypassed: state.isBypassed });
-      updateIcon();
-      break;
+      return tab.isBypassed ? 'OFF' : 'ON';
+    case 'next-preset':
+    case 'previous-preset':
+      return (getPresets().find(p => p.id === tab.preset) || { name: tab.preset }).name
+        .slice(0, 4).toUpperCase();
+    default:
+      return String(Math.round(resolveSettings(tab.preset, tab.params).targetLufs));
   }
+}
+
+function speak(text) {
+  chrome.tts.speak(text, { enqueue: false }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('VoluMod: Could not speak status', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// Keyboard shortcuts act on the active tab. Users can remap them, or assign
+// the ones without a default key, at chrome://extensions/shortcuts.
+chrome.commands?.onCommand.addListener((command) => {
+  ready.then(() => getActiveTabId((tabId) => {
+    switch (command) {
+      case 'toggle-bypass':
+        toggleTabBypass(tabId);
+        break;
+      case 'next-preset':
+        cycleTabPreset(tabId, 1);
+        break;
+      case 'previous-preset':
+        cycleTabPreset(tabId, -1);
+        break;
+      case 'loudness-up':
+        nudgeTabLoudness(tabId, 1);
+        break;
+      case 'loudness-down':
+        nudgeTabLoudness(tabId, -1);
+        break;
+      case 'announce-status':
+        speak(describeStatus(tabId));
+        return;
+      default:
+        return;
+    }
+    flashBadge(tabId, commandBadge(tabId, command));
+  }));
 });
 
 console.log('VoluMod: Background service worker started');
@@ -10,24 +10,85 @@
   if (window.__volumod_initialized) return;
   window.__volumod_initialized = true;
 
+  // Loaded just before this script (see manifest.json)
+  const {
+    validateMessage,
+    validateProcessorMessage,
+    createMessage,
+    errorResponse,
+    responseError
+  } = globalThis.VoluModProtocol;
+
   // State
   const state = {
     bypass: false,
     preset: 'auto',
+    settings: null,
     isLearning: false,
+    webAudio: false,
+    noiseProfile: null,
+    learnedProfile: null,
     audioContext: null,
+    workletReady: null,
     processorNode: null,
-    connectedElements: new WeakMap()
+    connectedElements: new WeakMap(),
+    directElements: new WeakSet(),
+    taintedOrigins: new Set(),
+    connections: new Set(),
+    levelsTimer: null,
+    lastLevelsSilent: true,
+    history: [],
+    historyTimer: null,
+    mediaSessionTimer: null,
+    mediaSessionKey: null,
+    loudnessJumps: 0
   };
 
-  // Preset configurations
-  const presets = {
-    auto: { targetLufs: -14, ratio: 4, noiseReduction: true },
-    speech: { targetLufs: -16, ratio: 3, noiseReduction: true },
-    music: { targetLufs: -14, ratio: 2, noiseReduction: false },
-    night: { targetLufs: -20, ratio: 6, noiseReduction: true },
-    hearing: { targetLufs: -12, ratio: 4, noiseReduction: true }
-  };
+  // Level reporting
+  const LEVELS_INTERVAL_MS = 100;
+  const LEVELS_STALE_MS = 500;
+  // A page processor silent this long is treated as gone
+  const CONNECTION_TIMEOUT_MS = 10000;
+  const METER_FLOOR_DB = -60;
+
+  // Loudness history for the popup's graph: one point every half second,
+  // two minutes deep, so it has something to show as soon as it opens
+  const HISTORY_INTERVAL_MS = 500;
+  const HISTORY_LENGTH = 240;
+
+  // Learned noise profiles are stored per origin
+  const NOISE_PROFILES_KEY = 'volumod_noise_profiles';
+  const MAX_NOISE_PROFILES = 100;
+  // Processors answer STOP_NOISE_LEARN with what they heard; their answers
+  // are still taken for this long after learning stops
+  const NOISE_LEARN_SETTLE_MS = 250;
+  const SHADOW_RECHECK_MS = 500;
+
+  // A connected element whose input stays digitally silent this long while
+  // its currentTime advances is treated as CORS-tainted
+  const TAINT_TIMEOUT_MS = 3000;
+  const HAVE_FUTURE_DATA = 3;
+
+  // Live streams never end, so their loudness is integrated over a sliding
+  // window instead of everything since the stream started
+  const LIVE_WINDOW_SECONDS = 60;
+  // How often the page's media session is checked for a new track
+  const MEDIA_SESSION_POLL_MS = 1000;
+
+  // Measured loudness is stored per track, so a replay starts at the right gain
+  const TRACK_LOUDNESS_KEY = 'volumod_track_loudness';
+  const MAX_TRACK_LOUDNESS = 500;
+  const MAX_TRACK_KEY_LENGTH = 512;
+  // Too short a listen says little about the whole track; a long one is
+  // trusted over an earlier, longer measurement that may be out of date
+  const TRACK_MIN_SECONDS = 10;
+  const TRACK_TRUSTED_SECONDS = 60;
+  // The loudness range the normalizer accepts as a starting point
+  const TRACK_MIN_LUFS = -70;
+  const TRACK_MAX_LUFS = 0;
+  // Query parameters that change from one play to the next: signed-URL
+  // credentials, expiry times and tracking tags
+  const VOLATILE_PARAMS = /^(token|auth|sig|signature|hmac|hdnts|policy|key-pair-id|expires?|exp|x-amz-.*|utm_.*)$/i;
 
   // Initialize AudioContext on user interaction
   function initAudioContext() {
@@ -39,8 +100,8 @@
         sampleRate: 48000
       });
 
-      // Load AudioWorklet processor
-      loadWorklet();
+      // Load AudioWorklet processor; elements connect once it has
+      state.workletReady = loadWorklet();
 
       console.log('VoluMod: AudioContext initialized');
     } catch (e) {
@@ -50,269 +111,888 @@
     return state.audioContext;
   }
 
-  // Load the AudioWorklet processor
-  async function loadWorklet() {
-    if (!state.audioContext) return;
+  // The processor is compiled from rescript/src/VoluModProcessor.res. It is a
+  // web-accessible resource, so pages that opt in to Web Audio processing can
+  // load it into their own contexts too.
+  const WORKLET_URL = chrome.runtime.getURL('worklet/volumod-processor.js');
 
+  // Load the AudioWorklet processor; resolves to whether it registered
+  async function loadWorklet() {
     try {
-      // Create processor using inline code (for extension context)
-      const processorCode = `
-        class VoluModProcessor extends AudioWorkletProcessor {
-          constructor() {
-            super();
-            this.bypass = false;
-            this.targetLufs = -14;
-            this.ratio = 4;
-            this.normGain = 1;
-            this.normIntegrated = 0;
-            this.normSamples = 0;
-            this.compEnvelope = -120;
-            this.limEnvelope = 1;
-
-            // Smoothing coefficients
-            const sr = sampleRate;
-            this.normSmooth = 1 - Math.exp(-1 / (100 * sr / 1000));
-            this.compAttack = 1 - Math.exp(-1 / (10 * sr / 1000));
-            this.compRelease = 1 - Math.exp(-1 / (150 * sr / 1000));
-            this.limRelease = 1 - Math.exp(-1 / (50 * sr / 1000));
-
-            this.port.onmessage = (e) => this.handleMessage(e.data);
-          }
-
-          handleMessage(data) {
-            if (data.type === 'SET_BYPASS') this.bypass = data.value;
-            if (data.type === 'SET_PRESET') {
-              this.targetLufs = data.targetLufs;
-              this.ratio = data.ratio;
-            }
-          }
-
-          dbToLinear(db) { return Math.pow(10, db / 20); }
-          linearToDb(lin) { return lin <= 0 ? -120 : 20 * Math.log10(lin); }
-          clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-
-          process(inputs, outputs) {
-            const input = inputs[0];
-            const output = outputs[0];
-
-            if (!input || !input[0] || input[0].length === 0) return true;
-
-            for (let ch = 0; ch < input.length; ch++) {
-              const inCh = input[ch];
-              const outCh = output[ch];
-
-              if (this.bypass) {
-                outCh.set(inCh);
-                continue;
-              }
-
-              // Calculate input level
-              let sum = 0;
-              for (let i = 0; i < inCh.length; i++) {
-                sum += inCh[i] * inCh[i];
-              }
-
-              // Update integrated loudness
-              this.normIntegrated += sum;
-              this.normSamples += inCh.length;
-
-              const intDb = this.normSamples > 0
-                ? this.linearToDb(Math.sqrt(this.normIntegrated / this.normSamples))
-                : -120;
-
-              const gainDb = this.clamp(this.targetLufs - intDb, -24, 12);
-              const targetGain = this.dbToLinear(gainDb);
-              this.normGain += this.normSmooth * (targetGain - this.normGain);
-
-              // Process samples
-              for (let i = 0; i < inCh.length; i++) {
-                let sample = inCh[i] * this.normGain;
-
-                // Compression
-                const sampleDb = this.linearToDb(Math.abs(sample));
-                if (sampleDb > this.compEnvelope) {
-                  this.compEnvelope += this.compAttack * (sampleDb - this.compEnvelope);
-                } else {
-                  this.compEnvelope += this.compRelease * (sampleDb - this.compEnvelope);
-                }
-
-                const threshold = -18;
-                const knee = 4;
-                let grDb = 0;
-                if (this.compEnvelope > threshold + knee/2) {
-                  grDb = (threshold + (this.compEnvelope - threshold) / this.ratio) - this.compEnvelope;
-                } else if (this.compEnvelope > threshold - knee/2) {
-                  const x = this.compEnvelope - (threshold - knee/2);
-                  grDb = (1/this.ratio - 1) * x * x / (2 * knee);
-                }
-
-                sample *= this.dbToLinear(grDb + 4); // +4dB makeup
-
-                // Limiting
-                const ceiling = this.dbToLinear(-0.5);
-                const peak = Math.abs(sample);
-                if (peak > ceiling) {
-                  const atten = ceiling / peak;
-                  if (atten < this.limEnvelope) this.limEnvelope = atten;
-                  else this.limEnvelope += this.limRelease * (1 - this.limEnvelope);
-                } else {
-                  this.limEnvelope += this.limRelease * (1 - this.limEnvelope);
-                }
-
-                outCh[i] = sample * this.limEnvelope;
-              }
-            }
-
-            return true;
-          }
-        }
-
-        registerProcessor('volumod-processor', VoluModProcessor);
-      `;
-
-      const blob = new Blob([processorCode], { type: 'application/javascript' });
-      const url = URL.createObjectURL(blob);
-      await state.audioContext.audioWorklet.addModule(url);
-      URL.revokeObjectURL(url);
+      await state.audioContext.audioWorklet.addModule(WORKLET_URL);
 
       console.log('VoluMod: AudioWorklet loaded');
+      return true;
     } catch (e) {
       console.error('VoluMod: Failed to load AudioWorklet', e);
+      return false;
     }
   }
 
   // Connect an audio/video element to the processor
-  function connectElement(element) {
-    if (!state.audioContext || state.connectedElements.has(element)) return;
+  async function connectElement(element) {
+    // Without the processor there is nothing to route the element through
+    if (!state.workletReady || !(await state.workletReady)) return;
+    if (state.connectedElements.has(element) || state.directElements.has(element)) return;
+
+    // Until a source is picked we can't tell whether it would be tainted
+    if (!element.currentSrc && !element.srcObject) {
+      element.addEventListener('loadstart', () => connectElement(element), { once: true });
+      return;
+    }
+
+    // createMediaElementSource can't be undone. Media from an origin that
+    // already refused CORS on this page would only play silently, so it is
+    // left playing directly.
+    if (isKnownTainted(element)) {
+      state.directElements.add(element);
+      reportFallback('direct', element);
+      console.log('VoluMod: Leaving cross-origin media unprocessed', element.currentSrc);
+      return;
+    }
 
     try {
-      const source = state.audioContext.createMediaElementSource(element);
+      // The node first: once the source exists the element plays through
+      // the graph for good, and must have somewhere to go
       const processor = new AudioWorkletNode(state.audioContext, 'volumod-processor');
+      const source = state.audioContext.createMediaElementSource(element);
 
       source.connect(processor);
       processor.connect(state.audioContext.destination);
 
-      state.connectedElements.set(element, { source, processor });
+      const connection = {
+        source,
+        processor,
+        element,
+        levels: null,
+        latency: 0,
+        silentSince: null,
+        silentFrom: 0,
+        recovery: null,
+        reloading: false,
+        media: mediaIdentity(element),
+        live: false,
+        trackKey: null
+      };
+      processor.port.onmessage = (e) => handleProcessorMessage(connection, e.data);
+      element.addEventListener('loadstart', () => handleSourceChange(connection));
+      watchMediaChanges(connection);
+
+      state.connectedElements.set(element, connection);
+      state.connections.add(connection);
+      startLevelReporting();
 
       // Apply current settings
       updateProcessor(processor);
+      updateLiveWindow(connection);
+      startTrack(connection);
 
       console.log('VoluMod: Connected element', element.tagName);
+      if (needsCors(element)) retryWithCors(connection);
     } catch (e) {
       console.error('VoluMod: Failed to connect element', e);
     }
   }
 
+  function mediaOrigin(element) {
+    try {
+      return new URL(element.currentSrc, location.href).origin;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Only media fetched from another origin can be kept from Web Audio.
+  // Streams and blob: or data: URLs never are, and are never reloaded.
+  function isCrossOrigin(element) {
+    if (element.srcObject) return false;
+    const { protocol } = new URL(element.currentSrc, location.href);
+    if (protocol === 'blob:' || protocol === 'data:') return false;
+    return mediaOrigin(element) !== location.origin;
+  }
+
+  // Cross-origin media loaded without a CORS request is opaque to Web Audio,
+  // which hears only silence from it
+  function needsCors(element) {
+    return isCrossOrigin(element) && element.crossOrigin === null;
+  }
+
+  // Media from an origin that has already refused CORS on this page
+  function isKnownTainted(element) {
+    return isCrossOrigin(element) && state.taintedOrigins.has(mediaOrigin(element));
+  }
+
+  // The page switched sources on a connected element. A new cross-origin
+  // source would play silently, so ask for it with CORS straight away.
+  function handleSourceChange(connection) {
+    if (connection.reloading) return;
+    connection.recovery = null;
+    connection.silentSince = null;
+    const { element } = connection;
+    if (element.currentSrc && (needsCors(element) || isKnownTainted(element))) {
+      retryWithCors(connection);
+    }
+  }
+
+  // The media an element is playing: a stream object, or its resolved URL
+  function mediaIdentity(element) {
+    return element.srcObject || element.currentSrc;
+  }
+
+  // The normalizer measures each track's loudness from its start, so tell it
+  // when the element moves on to other media, and restart its short-term
+  // window after a seek. A CORS reload is the same media and is ignored.
+  function watchMediaChanges(connection) {
+    const { element } = connection;
+    const checkMedia = () => {
+      const media = mediaIdentity(element);
+      if (connection.reloading || media === connection.media) return;
+      connection.media = media;
+      changeTrack([connection]);
+    };
+
+    element.addEventListener('emptied', checkMedia);
+    element.addEventListener('loadedmetadata', () => {
+      checkMedia();
+      updateLiveWindow(connection);
+    });
+    element.addEventListener('durationchange', () => updateLiveWindow(connection));
+    element.addEventListener('seeked', () => resetLoudness(connection.processor, 'window'));
+    element.addEventListener('pause', () => saveTrackLoudness([connection]));
+    element.addEventListener('play', () => rejoinConnection(connection));
+  }
+
+  function resetLoudness(processor, scope) {
+    processor.port.postMessage({ type: 'RESET_LOUDNESS', scope });
+  }
+
+  // Remember how loud the old track was and measure the new one afresh.
+  // Levels still in hand are the old track's, so they are dropped.
+  function changeTrack(connections) {
+    saveTrackLoudness(connections);
+    connections.forEach((connection) => {
+      resetLoudness(connection.processor, 'track');
+      connection.levels = null;
+      startTrack(connection);
+    });
+  }
+
+  // Live streams report an infinite duration
+  function updateLiveWindow(connection) {
+    const live = connection.element.duration === Infinity;
+    if (live === connection.live) return;
+    connection.live = live;
+    connection.processor.port.postMessage({
+      type: 'SET_LOUDNESS_WINDOW',
+      seconds: live ? LIVE_WINDOW_SECONDS : 0
+    });
+  }
+
+  // Players that queue tracks through one element, or mix them in Web Audio,
+  // may only show a new track in the media session they publish
+  function mediaSessionKey() {
+    const metadata = navigator.mediaSession && navigator.mediaSession.metadata;
+    if (!metadata || !metadata.title) return null;
+    return [metadata.title, metadata.artist].join('\n');
+  }
+
+  function checkMediaSession() {
+    const key = mediaSessionKey();
+    if (key === state.mediaSessionKey) return;
+    state.mediaSessionKey = key;
+    if (key !== null) changeTrack([...state.connections]);
+  }
+
+  // A media URL without its fragment and the parameters that vary between
+  // plays, or null for blob: and data: URLs, which are new every time
+  function normalizeSrc(src) {
+    let url;
+    try {
+      url = new URL(src, location.href);
+    } catch (e) {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    url.hash = '';
+    [...url.searchParams.keys()]
+      .filter(name => VOLATILE_PARAMS.test(name))
+      .forEach(name => url.searchParams.delete(name));
+    url.searchParams.sort();
+    return url.href;
+  }
+
+  // What a track's loudness is remembered by: its URL, or the title and
+  // artist the page publishes when there is no lasting URL (streamed players,
+  // Web Audio). Null when it can't be told apart from the next one.
+  function identifyTrack(connection) {
+    const { element } = connection;
+    const src = element && !element.srcObject ? normalizeSrc(element.currentSrc) : null;
+    const session = mediaSessionKey();
+    const key = src || (session && `session:${session}`);
+    return key && key.length <= MAX_TRACK_KEY_LENGTH ? key : null;
+  }
+
+  // The remembered tracks in a storage result. Storage can hold anything an
+  // older version or another extension page wrote, so entries that aren't
+  // a usable measurement are left out.
+  function readTrackLoudness(result) {
+    const stored = result[TRACK_LOUDNESS_KEY];
+    const tracks = {};
+    if (!stored || typeof stored !== 'object') return tracks;
+
+    Object.entries(stored).forEach(([key, entry]) => {
+      if (entry && typeof entry === 'object' &&
+          Number.isFinite(entry.lufs) && entry.lufs >= TRACK_MIN_LUFS && entry.lufs <= TRACK_MAX_LUFS &&
+          Number.isFinite(entry.seconds) && Number.isFinite(entry.used)) {
+        tracks[key] = { lufs: entry.lufs, seconds: entry.seconds, used: entry.used };
+      }
+    });
+    return tracks;
+  }
+
+  // Look up the new track and, if it has played before, let the normalizer
+  // start from its loudness
+  function startTrack(connection) {
+    const key = identifyTrack(connection);
+    connection.trackKey = key;
+    if (!key) return;
+
+    chrome.storage.local.get([TRACK_LOUDNESS_KEY], (result) => {
+      const entry = readTrackLoudness(result)[key];
+      // The page may have moved on while storage was read
+      if (!entry || connection.trackKey !== key) return;
+      connection.processor.port.postMessage({ type: 'SEED_LOUDNESS', integratedLufs: entry.lufs });
+    });
+  }
+
+  // Store what the normalizer measured of each connection's current track
+  function saveTrackLoudness(connections) {
+    // Taken now: by the time storage answers the connections may be on
+    // their next track
+    const measured = connections
+      .filter(({ trackKey, levels, live }) =>
+        trackKey && !live && levels && Number.isFinite(levels.loudness) &&
+        levels.loudness >= TRACK_MIN_LUFS && levels.loudness <= TRACK_MAX_LUFS &&
+        levels.loudnessSeconds >= TRACK_MIN_SECONDS)
+      .map(({ trackKey, levels }) => ({
+        trackKey,
+        lufs: levels.loudness,
+        seconds: levels.loudnessSeconds
+      }));
+    if (measured.length === 0) return;
+
+    chrome.storage.local.get([TRACK_LOUDNESS_KEY], (result) => {
+      const tracks = readTrackLoudness(result);
+      const now = Date.now();
+
+      measured.forEach(({ trackKey, lufs, seconds }) => {
+        const stored = tracks[trackKey];
+        if (stored && seconds < Math.min(stored.seconds, TRACK_TRUSTED_SECONDS)) {
+          stored.used = now;
+        } else {
+          tracks[trackKey] = { lufs, seconds, used: now };
+        }
+      });
+
+      // Drop the least recently played tracks beyond the limit
+      const keys = Object.keys(tracks);
+      if (keys.length > MAX_TRACK_LOUDNESS) {
+        keys
+          .sort((a, b) => tracks[a].used - tracks[b].used)
+          .slice(0, keys.length - MAX_TRACK_LOUDNESS)
+          .forEach(key => delete tracks[key]);
+      }
+
+      chrome.storage.local.set({ [TRACK_LOUDNESS_KEY]: tracks });
+    });
+  }
+
+  // Watch a connected element for the silence of a tainted source: nothing
+  // but zeros reaching the processor while it audibly plays on. Only
+  // cross-origin media fetched without CORS can be tainted; anything else
+  // that is silent is just quiet or has no audio, and is never reloaded.
+  function checkTaint(connection, data) {
+    const { element } = connection;
+    if (connection.reloading || connection.recovery === 'failed' ||
+      connection.recovery === 'recovered') return;
+
+    if (!data.inputSilent && connection.recovery === 'cors') {
+      connection.recovery = 'recovered';
+      reportFallback('recovered', element);
+    }
+
+    const playing = !element.paused && !element.ended && !element.seeking &&
+      !element.muted && element.volume > 0 && element.readyState >= HAVE_FUTURE_DATA;
+    const taintable = isCrossOrigin(element) && element.crossOrigin === null;
+    if (!data.inputSilent || !playing || !taintable) {
+      connection.silentSince = null;
+      return;
+    }
+
+    const now = performance.now();
+    if (connection.silentSince === null) {
+      connection.silentSince = now;
+      connection.silentFrom = element.currentTime;
+      return;
+    }
+
+    // Most of that time must have been played through, not spent buffering
+    const advancedMs = (element.currentTime - connection.silentFrom) * 1000;
+    if (now - connection.silentSince < TAINT_TIMEOUT_MS || advancedMs < TAINT_TIMEOUT_MS / 2) return;
+
+    connection.silentSince = null;
+    if (connection.recovery === null) {
+      retryWithCors(connection);
+    } else {
+      giveUpOnElement(connection);
+    }
+  }
+
+  // Reload the media with a CORS request; if the server allows it the
+  // existing graph starts receiving audio again
+  function retryWithCors(connection) {
+    const { element } = connection;
+    if (state.taintedOrigins.has(mediaOrigin(element))) {
+      giveUpOnElement(connection);
+      return;
+    }
+
+    connection.recovery = 'cors';
+    reloadMedia(connection, () => {
+      element.crossOrigin = 'anonymous';
+    }, () => giveUpOnElement(connection));
+    reportFallback('cors-retry', element);
+    console.log('VoluMod: Retrying cross-origin media with CORS', element.currentSrc);
+  }
+
+  // The element stays bound to the silent graph until the page reloads.
+  // Remember its origin so it plays directly next time.
+  function giveUpOnElement(connection) {
+    const { element } = connection;
+    connection.recovery = 'failed';
+
+    if (element.crossOrigin !== null) {
+      reloadMedia(connection, () => {
+        element.removeAttribute('crossorigin');
+      });
+    }
+
+    const origin = mediaOrigin(element);
+    if (origin && origin !== location.origin) state.taintedOrigins.add(origin);
+    reportFallback('reload', element);
+    console.warn('VoluMod: Media is CORS-tainted; reload the page to play it unprocessed');
+  }
+
+  // Change how the media is fetched and pick up where it left off
+  function reloadMedia(connection, change, onError) {
+    const { element } = connection;
+    const resumeAt = element.currentTime;
+    const wasPlaying = !element.paused;
+
+    const done = (e) => {
+      element.removeEventListener('loadedmetadata', done);
+      element.removeEventListener('error', done);
+      connection.reloading = false;
+      if (e.type === 'error') {
+        if (onError) onError();
+        return;
+      }
+      element.currentTime = resumeAt;
+      if (wasPlaying) element.play().catch(() => {});
+    };
+    element.addEventListener('loadedmetadata', done);
+    element.addEventListener('error', done);
+
+    connection.reloading = true;
+    change();
+    element.load();
+  }
+
+  function reportFallback(mode, element) {
+    sendToBackground('MEDIA_FALLBACK', { mode, mediaOrigin: mediaOrigin(element) });
+  }
+
+  // Handle messages posted by a worklet processor
+  function handleProcessorMessage(connection, data) {
+    // Page processors talk through the page, which can post anything
+    if (validateProcessorMessage(data)) return;
+
+    switch (data.type) {
+      case 'LEVELS':
+        connection.levels = {
+          inputPeak: data.inputPeak,
+          inputRms: data.inputRms,
+          outputPeak: data.outputPeak,
+          outputRms: data.outputRms,
+          gainReduction: data.gainReductionDb,
+          limiterReduction: data.limiterReductionDb,
+          normalizerGain: data.normalizerGainDb,
+          loudness: data.integratedLufs,
+          loudnessSeconds: data.loudnessSeconds,
+          inputShortTerm: data.inputShortTermLufs,
+          outputShortTerm: data.outputShortTermLufs,
+          contentClass: data.contentClass || null,
+          time: performance.now()
+        };
+        // Deepest cut since the last history point, which spans several reports
+        connection.historyReduction = Math.max(connection.historyReduction || 0, data.gainReductionDb);
+        // Counted for the page, so elements that have gone still count
+        state.loudnessJumps += data.loudnessJumps;
+        if (connection.element) checkTaint(connection, data);
+        break;
+
+      case 'LATENCY':
+        // Lookahead and noise reduction delay the audio; the popup shows the
+        // worst case (see reportLevels)
+        connection.latency = data.ms;
+        break;
+
+      case 'NOISE_PROFILE':
+        // Every element learns at once; keep the one that heard the most noise.
+        // Outside learning a profile can only come from the page itself.
+        if (state.isLearning && data.profile && (!state.learnedProfile || data.profile.frames > state.learnedProfile.frames)) {
+          state.learnedProfile = data.profile;
+          applyNoiseProfile(data.profile);
+          saveNoiseProfile(data.profile);
+        }
+        break;
+    }
+  }
+
+  // Load the noise profile learned for this site, if any
+  function loadNoiseProfile() {
+    chrome.storage.local.get([NOISE_PROFILES_KEY], (result) => {
+      const profiles = result[NOISE_PROFILES_KEY] || {};
+      const profile = profiles[location.origin];
+      if (profile) applyNoiseProfile(profile);
+    });
+  }
+
+  function saveNoiseProfile(profile) {
+    chrome.storage.local.get([NOISE_PROFILES_KEY], (result) => {
+      const profiles = result[NOISE_PROFILES_KEY] || {};
+      profiles[location.origin] = { ...profile, updated: Date.now() };
+
+      // Drop the least recently learned sites beyond the limit
+      const origins = Object.keys(profiles);
+      if (origins.length > MAX_NOISE_PROFILES) {
+        origins
+          .sort((a, b) => profiles[a].updated - profiles[b].updated)
+          .slice(0, origins.length - MAX_NOISE_PROFILES)
+          .forEach(origin => delete profiles[origin]);
+      }
+
+      chrome.storage.local.set({ [NOISE_PROFILES_KEY]: profiles });
+    });
+  }
+
+  function applyNoiseProfile(profile) {
+    state.noiseProfile = profile;
+    postToAllProcessors({ type: 'SET_NOISE_PROFILE', profile });
+  }
+
+  function postToAllProcessors(message) {
+    state.connections.forEach(({ processor }) => {
+      processor.port.postMessage(message);
+    });
+  }
+
+  // Periodically aggregate levels across elements and send to background
+  function startLevelReporting() {
+    if (state.levelsTimer) return;
+    state.levelsTimer = setInterval(reportLevels, LEVELS_INTERVAL_MS);
+    state.historyTimer = setInterval(recordHistory, HISTORY_INTERVAL_MS);
+    state.mediaSessionKey = mediaSessionKey();
+    state.mediaSessionTimer = setInterval(checkMediaSession, MEDIA_SESSION_POLL_MS);
+  }
+
+  // Add a history point: short-term loudness of the loudest element in and
+  // out (null while nothing plays), the deepest gain reduction, and the
+  // target the normalizer was aiming for (null when bypassed)
+  function recordHistory() {
+    const now = performance.now();
+    let input = -Infinity;
+    let output = -Infinity;
+    let gainReduction = 0;
+
+    state.connections.forEach((connection) => {
+      const { levels } = connection;
+      if (levels && now - levels.time <= LEVELS_STALE_MS) {
+        input = Math.max(input, levels.inputShortTerm);
+        output = Math.max(output, levels.outputShortTerm);
+      }
+      gainReduction = Math.max(gainReduction, connection.historyReduction || 0);
+      connection.historyReduction = 0;
+    });
+
+    const round = (value) => Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+    state.history.push({
+      input: round(input),
+      output: round(output),
+      gainReduction: round(gainReduction),
+      target: state.bypass || !state.settings ? null : state.settings.targetLufs
+    });
+    if (state.history.length > HISTORY_LENGTH) state.history.shift();
+  }
+
+  // Stop counting connections that no longer play into the page: elements
+  // taken out of the document and stopped, and page processors that have
+  // stopped reporting. Their last readings would otherwise hold the meters.
+  function pruneConnections(now) {
+    state.connections.forEach((connection) => {
+      const { element, levels } = connection;
+      const gone = element
+        ? !element.isConnected && element.paused
+        : levels !== null && now - levels.time > CONNECTION_TIMEOUT_MS;
+      if (!gone) return;
+      saveTrackLoudness([connection]);
+      state.connections.delete(connection);
+    });
+  }
+
+  // A pruned connection that plays again is counted, and kept up to date,
+  // once more
+  function rejoinConnection(connection) {
+    if (state.connections.has(connection)) return;
+    state.connections.add(connection);
+    updateProcessor(connection.processor);
+  }
+
+  function reportLevels() {
+    const now = performance.now();
+    pruneConnections(now);
+    let inputPower = 0;
+    let outputPower = 0;
+    let inputPeak = 0;
+    let outputPeak = 0;
+    let latency = 0;
+    let gainReduction = 0;
+    let limiterReduction = 0;
+    let normalizerGain = 0;
+    let contentClass = null;
+    let loudestOutput = -Infinity;
+    let loudness = -Infinity;
+    let active = false;
+
+    // Elements play into the same output, so RMS adds as power and peaks take the max
+    state.connections.forEach((connection) => {
+      const { levels } = connection;
+      if (!levels || now - levels.time > LEVELS_STALE_MS) return;
+      latency = Math.max(latency, connection.latency);
+      active = true;
+      inputPower += Math.pow(10, levels.inputRms / 10);
+      outputPower += Math.pow(10, levels.outputRms / 10);
+      inputPeak = Math.max(inputPeak, Math.pow(10, levels.inputPeak / 20));
+      outputPeak = Math.max(outputPeak, Math.pow(10, levels.outputPeak / 20));
+      // The element working hardest, and the loudest one measured so far
+      gainReduction = Math.max(gainReduction, levels.gainReduction);
+      limiterReduction = Math.max(limiterReduction, levels.limiterReduction);
+      loudness = Math.max(loudness, levels.loudness);
+      // Gains can go either way, so take the one on the loudest element,
+      // and what it is playing
+      if (levels.outputRms > loudestOutput) {
+        loudestOutput = levels.outputRms;
+        normalizerGain = levels.normalizerGain;
+        contentClass = levels.contentClass;
+      }
+    });
+
+    // Send the floor once when everything goes quiet, then stay silent
+    if (!active && state.lastLevelsSilent) return;
+    state.lastLevelsSilent = !active;
+
+    const toDb = (linear, scale) => linear > 0
+      ? Math.max(METER_FLOOR_DB, scale * Math.log10(linear))
+      : METER_FLOOR_DB;
+
+    sendToBackground('LEVELS_UPDATE', {
+      input: toDb(inputPower, 10),
+      output: toDb(outputPower, 10),
+      inputPeak: toDb(inputPeak, 20),
+      outputPeak: toDb(outputPeak, 20),
+      latency,
+      gainReduction,
+      limiterReduction,
+      normalizerGain,
+      loudness: Number.isFinite(loudness) ? loudness : null,
+      contentClass,
+      loudnessJumps: state.loudnessJumps
+    });
+  }
+
+  // Rejections are logged; a missing background (e.g. mid-update) is not
+  function sendToBackground(type, fields) {
+    let message;
+    try {
+      message = createMessage(type, fields);
+    } catch (e) {
+      // Whatever slipped past the checks on processor data stops here
+      console.error(`VoluMod: Dropped malformed ${type}`, e.toJSON ? e.toJSON() : e);
+      return;
+    }
+    chrome.runtime.sendMessage(message).then((response) => {
+      const error = responseError(response);
+      if (error) console.error(`VoluMod: Background rejected ${type}`, error.toJSON());
+    }).catch(() => {});
+  }
+
   // Update processor settings
   function updateProcessor(processor) {
     if (!processor) return;
 
-    const preset = presets[state.preset] || presets.auto;
-
     processor.port.postMessage({
       type: 'SET_BYPASS',
       value: state.bypass
     });
 
-    processor.port.postMessage({
-      type: 'SET_PRESET',
-      targetLufs: preset.targetLufs,
-      ratio: preset.ratio
-    });
+    // The background resolves the preset (built-in or custom) to its full
+    // parameter set; until it arrives the worklet keeps its defaults
+    if (state.settings) {
+      processor.port.postMessage({ type: 'SET_PRESET', ...state.settings });
+    }
+
+    if (state.noiseProfile) {
+      processor.port.postMessage({
+        type: 'SET_NOISE_PROFILE',
+        profile: state.noiseProfile
+      });
+    }
   }
 
   // Update all connected processors
   function updateAllProcessors() {
-    document.querySelectorAll('audio, video').forEach(el => {
-      const connection = state.connectedElements.get(el);
-      if (connection) {
-        updateProcessor(connection.processor);
-      }
+    state.connections.forEach(connection => {
+      updateProcessor(connection.processor);
     });
   }
 
-  // Observe DOM for new media elements
+  // Page Web Audio bridge
+  // On sites that opt in, webaudio-hook.js runs in the page's main world and
+  // routes the page's own AudioContexts through VoluMod processors. Those are
+  // driven from here exactly like the processors on media elements.
+  //
+  // Any page can post to this listener, so it is ignored until the background
+  // says this frame's site has opted in, and a page can't add processors
+  // without limit.
+  const PAGE_SOURCE = 'volumod-page';
+  const CONTENT_SOURCE = 'volumod-content';
+  const MAX_PAGE_CONNECTIONS = 16;
+  const pageConnections = new Map();
+
+  function postToPage(message) {
+    window.postMessage({ source: CONTENT_SOURCE, ...message }, '*');
+  }
+
+  function handlePageMessage(e) {
+    if (!state.webAudio || e.source !== window || !e.data || e.data.source !== PAGE_SOURCE) return;
+    const message = e.data;
+
+    switch (message.type) {
+      case 'HOOK_READY':
+        postToPage({ type: 'WORKLET_URL', url: WORKLET_URL });
+        break;
+
+      case 'PROCESSOR_ADDED': {
+        if (pageConnections.has(message.id) || pageConnections.size >= MAX_PAGE_CONNECTIONS) break;
+        // Stands in for the AudioWorkletNode living in the page
+        const processor = {
+          port: {
+            postMessage: (data) => postToPage({ type: 'PROCESSOR_COMMAND', id: message.id, data })
+          }
+        };
+        const connection = { source: null, processor, levels: null, latency: 0, trackKey: null };
+        pageConnections.set(message.id, connection);
+        state.connections.add(connection);
+        startLevelReporting();
+        updateProcessor(processor);
+        startTrack(connection);
+        console.log('VoluMod: Connected page AudioContext');
+        break;
+      }
+
+      case 'PROCESSOR_MESSAGE': {
+        const connection = pageConnections.get(message.id);
+        if (connection) {
+          handleProcessorMessage(connection, message.data);
+          const { levels } = connection;
+          if (levels && performance.now() - levels.time < CONNECTION_TIMEOUT_MS) rejoinConnection(connection);
+        }
+        break;
+      }
+
+      case 'PROCESSOR_REMOVED': {
+        const connection = pageConnections.get(message.id);
+        if (connection) saveTrackLoudness([connection]);
+        state.connections.delete(connection);
+        pageConnections.delete(message.id);
+        break;
+      }
+    }
+  }
+
+  window.addEventListener('message', handlePageMessage);
+
+  // Once opted in, ask a hook that loaded first to announce itself again
+  function enableWebAudio() {
+    if (state.webAudio) return;
+    state.webAudio = true;
+    postToPage({ type: 'CONTENT_READY' });
+  }
+
+  // Media discovery
+  // Players built from web components keep their <audio>/<video> inside
+  // shadow roots, which neither the document observer nor querySelectorAll
+  // reach, so every open shadow root found is observed and scanned as well.
+  // Same-origin iframes run their own copy of this script (all_frames).
+  const observedRoots = new WeakSet();
+
+  function isMedia(node) {
+    return node.tagName === 'AUDIO' || node.tagName === 'VIDEO';
+  }
+
+  function queueConnect(element) {
+    initAudioContext();
+    setTimeout(() => connectElement(element), 100);
+  }
+
+  // 'play' is not composed, so it has to be caught inside each root
+  function handlePlay(e) {
+    if (isMedia(e.target)) queueConnect(e.target);
+  }
+
   const observer = new MutationObserver((mutations) => {
     mutations.forEach(mutation => {
       mutation.addedNodes.forEach(node => {
-        if (node.tagName === 'AUDIO' || node.tagName === 'VIDEO') {
-          initAudioContext();
-          setTimeout(() => connectElement(node), 100);
-        }
-        if (node.querySelectorAll) {
-          node.querySelectorAll('audio, video').forEach(el => {
-            initAudioContext();
-            setTimeout(() => connectElement(el), 100);
-          });
-        }
+        if (node.nodeType === Node.ELEMENT_NODE) scanTree(node);
       });
     });
   });
 
+  function observeRoot(root) {
+    if (observedRoots.has(root)) return;
+    observedRoots.add(root);
+    observer.observe(root, { childList: true, subtree: true });
+    root.addEventListener('play', handlePlay, true);
+  }
+
+  // Connect media in a subtree and follow any open shadow roots inside it
+  function scanTree(node) {
+    visitElement(node);
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      visitElement(walker.currentNode);
+    }
+  }
+
+  function visitElement(el) {
+    if (isMedia(el)) queueConnect(el);
+    if (el.shadowRoot) scanShadowRoot(el.shadowRoot);
+    else if (el.localName.includes('-')) watchHost(el);
+  }
+
+  function scanShadowRoot(root) {
+    if (observedRoots.has(root)) return;
+    observeRoot(root);
+    Array.from(root.children).forEach(scanTree);
+  }
+
+  // Custom elements are often upgraded, and attach their shadow root, after
+  // being inserted. Content scripts can't see customElements, so look again
+  // shortly after and once the page has finished loading.
+  const pendingHosts = new Set();
+  let pendingTimer = null;
+
+  function watchHost(host) {
+    pendingHosts.add(host);
+    if (pendingTimer) return;
+    pendingTimer = setTimeout(checkPendingHosts, SHADOW_RECHECK_MS);
+  }
+
+  function checkPendingHosts() {
+    pendingTimer = null;
+    const hosts = Array.from(pendingHosts);
+    pendingHosts.clear();
+    hosts.forEach(host => {
+      if (host.shadowRoot) scanShadowRoot(host.shadowRoot);
+    });
+  }
+
   // Start observing
-  observer.observe(document.documentElement, {
-    childList: true,
-    subtree: true
-  });
+  observeRoot(document);
+  if (document.documentElement) scanTree(document.documentElement);
+  window.addEventListener('load', () => {
+    checkPendingHosts();
+    scanTree(document.documentElement);
+  }, { once: true });
 
   // Connect existing elements on first user interaction
-  document.addEventListener('click', function initOnClick() {
+  document.addEventListener('click', () => {
     initAudioContext();
-    document.querySelectorAll('audio, video').forEach(el => {
-      setTimeout(() => connectElement(el), 100);
-    });
-    document.removeEventListener('click', initOnClick);
+    scanTree(document.documentElement);
   }, { once: true });
 
-  // Also init on play events
-  document.addEventListener('play', (e) => {
-    if (e.target.tagName === 'AUDIO' || e.target.tagName === 'VIDEO') {
-      initAudioContext();
-      setTimeout(() => connectElement(e.target), 100);
-    }
-  }, true);
-
   // Listen for messages from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const error = validateMessage(message);
+    if (error) {
+      console.error('VoluMod: Rejected message', error.toJSON());
+      sendResponse(errorResponse(error));
+      return false;
+    }
+
     switch (message.type) {
-      case 'SET_BYPASS':
+      case 'INIT_STATE':
         state.bypass = message.bypassed;
+        state.preset = message.preset;
+        state.settings = message.settings;
+        state.taintedOrigins = new Set(message.taintedOrigins);
+        if (message.webAudio) enableWebAudio();
         updateAllProcessors();
         sendResponse({ success: true });
         break;
 
-      case 'SET_PRESET':
-        state.preset = message.preset;
-        updateAllProcessors();
-        sendResponse({ success: true });
+      case 'PING':
+        // The background restarted; report what this tab is playing with
+        sendResponse({ success: true, bypassed: state.bypass, preset: state.preset });
         break;
 
-      case 'INIT_STATE':
-        state.bypass = message.isBypassed;
-        state.preset = message.preset;
-        updateAllProcessors();
-        sendResponse({ success: true });
+      case 'GET_HISTORY':
+        sendResponse({ history: { intervalMs: HISTORY_INTERVAL_MS, points: state.history } });
         break;
 
       case 'START_NOISE_LEARN':
         state.isLearning = true;
+        state.learnedProfile = null;
+        postToAllProcessors({ type: 'START_NOISE_LEARN' });
         sendResponse({ success: true });
         break;
 
       case 'STOP_NOISE_LEARN':
-        state.isLearning = false;
-        sendResponse({ success: true });
+        postToAllProcessors({ type: 'STOP_NOISE_LEARN' });
+        setTimeout(() => {
+          state.isLearning = false;
+          sendResponse({ success: true, profile: state.learnedProfile });
+        }, NOISE_LEARN_SETTLE_MS);
         break;
     }
     return true;
   });
 
-  // Notify background that this tab is ready
-  chrome.runtime.sendMessage({ type: 'TAB_CONNECTED' }).catch(() => {});
+  loadNoiseProfile();
 
-  // Cleanup on unload
-  window.addEventListener('beforeunload', () => {
-    chrome.runtime.sendMessage({ type: 'TAB_DISCONNECTED' }).catch(() => {});
+  // Notify background that this tab is ready
+  sendToBackground('TAB_CONNECTED');
+
+  // Cleanup on unload. pagehide, unlike beforeunload, only fires once the
+  // page is really going, and a page kept in the back/forward cache comes
+  // back through pageshow.
+  window.addEventListener('pagehide', () => {
+    saveTrackLoudness([...state.connections]);
+    sendToBackground('TAB_DISCONNECTED');
+  });
+  window.addEventListener('pageshow', (e) => {
+    if (e.persisted) sendToBackground('TAB_CONNECTED');
   });
 
   console.log('VoluMod: Content script loaded');
@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Browser Extension - Options Page
+// Custom preset editor; presets are stored by the background worker
+
+// Loaded by options.html before this module
+const { createMessage, responseError } = globalThis.VoluModProtocol;
+
+const EQ_FREQUENCIES = ['31', '62', '125', '250', '500', '1k', '2k', '4k', '8k', '16k'];
+
+const NUMERIC_FIELDS = [
+  'targetLufs', 'jumpThresholdDb', 'thresholdDb', 'ratio', 'kneeDb',
+  'attackMs', 'releaseMs', 'makeupDb', 'ceilingDb', 'lookaheadMs'
+];
+
+const MULTIBAND_BANDS = ['Low', 'Mid', 'High'];
+
+// Per-band settings, as columns of the multiband editor
+const BAND_FIELDS = [
+  { key: 'thresholdDb', label: 'Threshold', unit: 'dB', step: 0.5 },
+  { key: 'ratio', label: 'Ratio', unit: ':1', step: 0.1 },
+  { key: 'attackMs', label: 'Attack', unit: 'ms', step: 0.1 },
+  { key: 'releaseMs', label: 'Release', unit: 'ms', step: 1 }
+];
+
+// State
+const state = {
+  presets: [],
+  limits: {},
+  eqCurves: {},
+  selectedId: 'auto'
+};
+
+// DOM Elements
+let presetList, presetForm, editorHeading, builtinNote, eqBands, multibandBands;
+let newBtn, duplicateBtn, deleteBtn, srAnnouncements;
+
+// Initialize options page
+document.addEventListener('DOMContentLoaded', () => {
+  initElements();
+  setupListeners();
+  loadPresets();
+});
+
+function initElements() {
+  presetList = document.getElementById('preset-list');
+  presetForm = document.getElementById('preset-form');
+  editorHeading = document.getElementById('editor-heading');
+  builtinNote = document.getElementById('builtin-note');
+  eqBands = document.getElementById('eq-bands');
+  multibandBands = document.getElementById('multiband-bands');
+  newBtn = document.getElementById('new-preset-btn');
+  duplicateBtn = document.getElementById('duplicate-preset-btn');
+  deleteBtn = document.getElementById('delete-preset-btn');
+  srAnnouncements = document.getElementById('sr-announcements');
+}
+
+function setupListeners() {
+  newBtn.addEventListener('click', () => {
+    createPreset({ ...getPreset('auto'), name: 'New preset' });
+  });
+
+  duplicateBtn.addEventListener('click', () => {
+    const source = getSelected();
+    createPreset({ ...source, name: `${source.name} copy` });
+  });
+
+  deleteBtn.addEventListener('click', deletePreset);
+
+  // Edits are saved as they are made
+  presetForm.addEventListener('change', saveForm);
+  presetForm.addEventListener('submit', (e) => e.preventDefault());
+}
+
+function loadPresets() {
+  sendMessage('GET_PRESETS', {}, (response) => {
+    if (!response || !response.presets) return;
+    state.presets = response.presets;
+    state.limits = response.limits || {};
+    state.eqCurves = response.eqCurves || {};
+    buildMultibandEditor();
+    applyLimits();
+    buildEqEditor();
+    render();
+  });
+}
+
+// Constrain the number inputs to the ranges the background accepts
+function applyLimits() {
+  NUMERIC_FIELDS.forEach(key => {
+    const limits = state.limits[key];
+    if (!limits) return;
+    const input = presetForm.elements[key];
+    input.min = limits[0];
+    input.max = limits[1];
+  });
+  const [minHz, maxHz] = state.limits.crossoverHz || [40, 12000];
+  [0, 1].forEach(index => {
+    presetForm.elements[`crossover-${index}`].min = minHz;
+    presetForm.elements[`crossover-${index}`].max = maxHz;
+  });
+}
+
+// A header row, then a row of inputs per band
+function buildMultibandEditor() {
+  const cell = (text) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  };
+  const header = [cell(''), ...BAND_FIELDS.map(({ label, unit }) => cell(`${label} (${unit})`))];
+  header.forEach(span => span.setAttribute('aria-hidden', 'true'));
+
+  const rows = MULTIBAND_BANDS.flatMap((bandName, band) => [
+    cell(bandName),
+    ...BAND_FIELDS.map(({ key, label, unit, step }) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.name = `band-${band}-${key}`;
+      input.step = step;
+      const limits = state.limits[key];
+      if (limits) {
+        input.min = limits[0];
+        input.max = limits[1];
+      }
+      input.setAttribute('aria-label', `${bandName} band ${label.toLowerCase()} (${unit})`);
+      return input;
+    })
+  ]);
+
+  multibandBands.replaceChildren(...header, ...rows);
+}
+
+// One vertical slider per band, plus the curve picker
+function buildEqEditor() {
+  const [min, max] = state.limits.eqGainDb || [-24, 24];
+
+  eqBands.replaceChildren(...EQ_FREQUENCIES.map((label, band) => {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'eq-band';
+
+    const value = document.createElement('output');
+    value.id = `eq-value-${band}`;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.name = `eq-${band}`;
+    slider.min = min;
+    slider.max = max;
+    slider.step = 0.5;
+    slider.setAttribute('aria-label', `${label}Hz gain`);
+    slider.addEventListener('input', () => updateBandValue(band));
+
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    wrapper.append(value, slider, name);
+    return wrapper;
+  }));
+
+  const curveSelect = presetForm.elements.eqCurve;
+  const custom = document.createElement('option');
+  custom.value = '';
+  custom.textContent = 'Custom';
+  curveSelect.replaceChildren(custom, ...Object.entries(state.eqCurves).map(([id, curve]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = curve.name;
+    return option;
+  }));
+}
+
+function updateBandValue(band) {
+  const slider = presetForm.elements[`eq-${band}`];
+  const gain = Number(slider.value);
+  const text = `${gain > 0 ? '+' : ''}${gain} dB`;
+  document.getElementById(`eq-value-${band}`).textContent = text;
+  slider.setAttribute('aria-valuetext', text);
+}
+
+// Name of the stored curve these gains match, or '' for a custom curve
+function matchCurve(gains) {
+  const match = Object.entries(state.eqCurves)
+    .find(([, curve]) => curve.gains.every((g, band) => g === gains[band]));
+  return match ? match[0] : '';
+}
+
+function getPreset(id) {
+  return state.presets.find(p => p.id === id);
+}
+
+function getSelected() {
+  return getPreset(state.selectedId) || state.presets[0];
+}
+
+function getCustomPresets() {
+  return state.presets.filter(p => !p.builtin);
+}
+
+function render() {
+  renderList();
+  renderForm();
+}
+
+function renderList() {
+  presetList.replaceChildren(...state.presets.map(preset => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'preset-item';
+    button.textContent = preset.name;
+    button.setAttribute('aria-current', String(preset.id === state.selectedId));
+    if (preset.builtin) {
+      const badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = 'Built-in';
+      button.append(badge);
+    }
+    button.addEventListener('click', () => {
+      state.selectedId = preset.id;
+      render();
+    });
+    item.append(button);
+    return item;
+  }));
+}
+
+function renderForm() {
+  const preset = getSelected();
+  if (!preset) return;
+
+  editorHeading.textContent = preset.name;
+  builtinNote.hidden = !preset.builtin;
+  deleteBtn.disabled = Boolean(preset.builtin);
+
+  const fields = presetForm.elements;
+  fields.name.value = preset.name;
+  NUMERIC_FIELDS.forEach(key => {
+    fields[key].value = preset[key];
+  });
+  fields.noiseReduction.checked = preset.noiseReduction;
+  fields.jumpGuard.checked = preset.jumpGuard;
+  fields.stereoLink.value = preset.stereoLink;
+  fields.midSide.checked = preset.midSide;
+  fields.multiband.checked = preset.multiband;
+  preset.crossoverHz.forEach((hz, index) => {
+    fields[`crossover-${index}`].value = hz;
+  });
+  preset.bands.forEach((band, index) => {
+    BAND_FIELDS.forEach(({ key }) => {
+      fields[`band-${index}-${key}`].value = band[key];
+    });
+  });
+
+  fields.eqAdaptive.checked = preset.eqAdaptive;
+  EQ_FREQUENCIES.forEach((label, band) => {
+    fields[`eq-${band}`].value = preset.eqGains[band];
+    updateBandValue(band);
+  });
+  fields.eqCurve.value = matchCurve(preset.eqGains);
+
+  Array.from(fields).forEach(field => {
+    field.disabled = Boolean(preset.builtin);
+  });
+  // Multiband replaces mid/side
+  if (preset.multiband) fields.midSide.disabled = true;
+}
+
+function readForm() {
+  const fields = presetForm.elements;
+  const values = {
+    name: fields.name.value.trim() || 'Custom',
+    noiseReduction: fields.noiseReduction.checked,
+    jumpGuard: fields.jumpGuard.checked,
+    stereoLink: fields.stereoLink.value,
+    midSide: fields.midSide.checked && !fields.multiband.checked,
+    multiband: fields.multiband.checked,
+    crossoverHz: [0, 1].map(index => Number(fields[`crossover-${index}`].value)),
+    bands: MULTIBAND_BANDS.map((bandName, band) => Object.fromEntries(
+      BAND_FIELDS.map(({ key }) => [key, Number(fields[`band-${band}-${key}`].value)])
+    )),
+    eqAdaptive: fields.eqAdaptive.checked,
+    eqGains: EQ_FREQUENCIES.map((label, band) => Number(fields[`eq-${band}`].value))
+  };
+  NUMERIC_FIELDS.forEach(key => {
+    values[key] = Number(fields[key].value);
+  });
+  return values;
+}
+
+function createPreset(source) {
+  const { builtin, ...values } = source;
+  const preset = {
+    ...values,
+    id: `custom-${Date.now().toString(36)}`
+  };
+  state.selectedId = preset.id;
+  savePresets([...getCustomPresets(), preset], `${preset.name} created`);
+}
+
+function saveForm(e) {
+  const selected = getSelected();
+  if (!selected || selected.builtin) return;
+
+  // Picking a curve loads its gains into the band sliders
+  const curve = state.eqCurves[e.target.value];
+  if (e.target.name === 'eqCurve' && curve) {
+    curve.gains.forEach((gain, band) => {
+      presetForm.elements[`eq-${band}`].value = gain;
+    });
+  }
+
+  const updated = { ...selected, ...readForm() };
+  const customPresets = getCustomPresets().map(p => (p.id === selected.id ? updated : p));
+  const message = updated.name !== selected.name
+    ? `Renamed to ${updated.name}`
+    : `${updated.name} saved`;
+  savePresets(customPresets, message);
+}
+
+function deletePreset() {
+  const selected = getSelected();
+  if (!selected || selected.builtin) return;
+
+  if (!confirm(`Delete the preset "${selected.name}"?`)) return;
+
+  state.selectedId = 'auto';
+  savePresets(getCustomPresets().filter(p => p.id !== selected.id), `${selected.name} deleted`);
+}
+
+function savePresets(customPresets, announcement) {
+  sendMessage('SAVE_CUSTOM_PRESETS', { customPresets }, (response) => {
+    if (!response || !response.presets) {
+      announce('Could not save presets');
+      return;
+    }
+    // The background clamps values into range; show what it stored
+    state.presets = response.presets;
+    render();
+    announce(announcement);
+  });
+}
+
+function announce(message) {
+  srAnnouncements.textContent = message;
+  // Clear after announcement
+  setTimeout(() => {
+    srAnnouncements.textContent = '';
+  }, 1000);
+}
+
+// Replies carrying a protocol error are logged, then still passed on
+function sendMessage(type, fields, callback) {
+  try {
+    chrome.runtime.sendMessage(createMessage(type, fields), (response) => {
+      const error = responseError(response);
+      if (error) console.error(`VoluMod: ${type} failed`, error.toJSON());
+      if (callback) callback(response);
+    });
+  } catch (e) {
+    console.error('VoluMod: Failed to send message', e);
+  }
+}
@@ -3,19 +3,45 @@
 // VoluMod Browser Extension - Popup Script
 // Handles UI interactions and communicates with background/content scripts
 
+// Loaded by popup.html before this module
+const { validateMessage, createMessage, responseError } = globalThis.VoluModProtocol;
+
 // State
 const state = {
   isBypassed: false,
   preset: 'auto',
   inputLevel: -60,
   outputLevel: -60,
-  isLearning: false
+  isLearning: false,
+  learnTimer: null,
+  tabId: null,
+  origin: null,
+  connected: false,
+  dialogue: false,
+  siteRemembered: false,
+  webAudio: false,
+  fallback: null,
+  contentClass: null,
+  loudnessJumps: 0,
+  presets: [],
+  history: null,
+  historyWindow: 60
 };
 
+// The history graph spans -60 LUFS at the bottom to 0 at the top; gain
+// reduction hangs down from the top edge on the same dB scale
+const HISTORY_FLOOR_LUFS = -60;
+const HISTORY_GRID_LUFS = [-12, -24, -36, -48];
+const HISTORY_WINDOW_KEY = 'volumod_history_window';
+
 // DOM Elements
 let bypassBtn, presetSelect, inputMeter, outputMeter;
-let inputLevelText, outputLevelText, statusText, statusIndicator;
-let learnNoiseBtn, srAnnouncements;
+let inputMeterBar, outputMeterBar, inputPeakMarker, outputPeakMarker;
+let inputLevelText, outputLevelText, latencyText, statusText, statusIndicator;
+let learnNoiseBtn, applyAllBtn, settingsLink, rememberSiteCheckbox, rememberSiteLabel, webAudioCheckbox;
+let dialogueCheckbox, contentClassText, jumpCountText;
+let fallbackNotice, srAnnouncements, historyCanvas, historyWindowSelect;
+let stageMeters;
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', () => {
@@ -30,33 +56,94 @@ function initElements() {
   presetSelect = document.getElementById('preset-select');
   inputMeter = document.getElementById('input-meter');
   outputMeter = document.getElementById('output-meter');
+  inputMeterBar = document.getElementById('input-meter-bar');
+  outputMeterBar = document.getElementById('output-meter-bar');
+  inputPeakMarker = document.getElementById('input-peak');
+  outputPeakMarker = document.getElementById('output-peak');
   inputLevelText = document.getElementById('input-level');
   outputLevelText = document.getElementById('output-level');
+  latencyText = document.getElementById('latency');
   statusText = document.getElementById('status-text');
   statusIndicator = document.getElementById('status-indicator');
   learnNoiseBtn = document.getElementById('learn-noise-btn');
+  applyAllBtn = document.getElementById('apply-all-btn');
+  settingsLink = document.getElementById('settings-link');
+  rememberSiteCheckbox = document.getElementById('remember-site');
+  rememberSiteLabel = document.getElementById('remember-site-label');
+  webAudioCheckbox = document.getElementById('web-audio');
+  dialogueCheckbox = document.getElementById('dialogue');
+  contentClassText = document.getElementById('content-class');
+  jumpCountText = document.getElementById('jump-count');
+  fallbackNotice = document.getElementById('fallback-notice');
   srAnnouncements = document.getElementById('sr-announcements');
+  stageMeters = {
+    normalizer: stageMeter('normalizer-meter', 'normalizer-gain'),
+    compressor: stageMeter('compressor-meter', 'compressor-reduction'),
+    limiter: stageMeter('limiter-meter', 'limiter-reduction')
+  };
+  historyCanvas = document.getElementById('history-graph');
+  historyWindowSelect = document.getElementById('history-window');
+
+  // Draw at device resolution so the traces stay sharp
+  const scale = window.devicePixelRatio || 1;
+  historyCanvas.width = Math.round(historyCanvas.clientWidth * scale);
+  historyCanvas.height = Math.round(historyCanvas.clientHeight * scale);
 }
 
 function loadState() {
-  chrome.storage.local.get(['volumod_settings'], (result) => {
-    if (result.volumod_settings) {
-      state.isBypassed = result.volumod_settings.isBypassed || false;
-      state.preset = result.volumod_settings.preset || 'auto';
+  sendMessage('GET_PRESETS', {}, (response) => {
+    if (!response || !response.presets) return;
+    state.presets = response.presets;
+    renderPresetOptions();
+    updateUI();
+  });
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    state.tabId = tabs[0] ? tabs[0].id : null;
+    state.origin = tabs[0] ? originOf(tabs[0].url) : null;
+
+    sendMessage('GET_STATE', { tabId: state.tabId, origin: state.origin }, (response) => {
+      if (!response || response.error) return;
+      state.connected = response.connected;
+      state.isBypassed = response.bypassed || false;
+      state.preset = response.preset || 'auto';
+      state.dialogue = Boolean(response.params && response.params.dialogue);
+      state.siteRemembered = response.siteRemembered || false;
+      state.webAudio = response.webAudio || false;
+      state.fallback = response.fallback || null;
       updateUI();
-    }
+      fetchHistory();
+    });
   });
-}
 
-function saveState() {
-  chrome.storage.local.set({
-    volumod_settings: {
-      isBypassed: state.isBypassed,
-      preset: state.preset
-    }
+  chrome.storage.local.get(HISTORY_WINDOW_KEY, (result) => {
+    if (!result[HISTORY_WINDOW_KEY]) return;
+    state.historyWindow = result[HISTORY_WINDOW_KEY];
+    historyWindowSelect.value = String(state.historyWindow);
+    drawHistory();
   });
 }
 
+// Built-in presets first, then the user's own from the options page
+function renderPresetOptions() {
+  presetSelect.replaceChildren(...state.presets.map(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    return option;
+  }));
+}
+
+// Origin used to key site profiles, or null for non-web pages
+function originOf(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 function setupListeners() {
   // Bypass button
   bypassBtn.addEventListener('click', toggleBypass);
@@ -70,23 +157,46 @@ function setupListeners() {
   // Preset selection
   presetSelect.addEventListener('change', (e) => {
     state.preset = e.target.value;
-    saveState();
-    sendMessage({ type: 'SET_PRESET', preset: state.preset });
+    sendMessage('SET_PRESET', { preset: state.preset, tabId: state.tabId });
     announce(`Preset changed to ${getPresetLabel(state.preset)}`);
   });
 
+  // Dialogue enhancement, on top of the preset
+  dialogueCheckbox.addEventListener('change', toggleDialogue);
+
+  // Remember settings for this site
+  rememberSiteCheckbox.addEventListener('change', toggleRememberSite);
+
+  // Process the page's own Web Audio graph on this site
+  webAudioCheckbox.addEventListener('change', toggleWebAudio);
+
   // Learn noise button
   learnNoiseBtn.addEventListener('click', toggleNoiseLearning);
 
+  // Settings open the options page
+  settingsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Apply this tab's settings everywhere
+  applyAllBtn.addEventListener('click', applyToAllTabs);
+
+  // How far back the loudness graph reaches
+  historyWindowSelect.addEventListener('change', () => {
+    state.historyWindow = Number(historyWindowSelect.value);
+    chrome.storage.local.set({ [HISTORY_WINDOW_KEY]: state.historyWindow });
+    drawHistory();
+  });
+
   // Keyboard navigation
   document.addEventListener('keydown', handleKeyboard);
 }
 
 function toggleBypass() {
   state.isBypassed = !state.isBypassed;
-  saveState();
   updateUI();
-  sendMessage({ type: 'SET_BYPASS', bypassed: state.isBypassed });
+  sendMessage('SET_BYPASS', { bypassed: state.isBypassed, tabId: state.tabId });
 
   const message = state.isBypassed
     ? 'Audio processing bypassed'
@@ -94,25 +204,85 @@ function toggleBypass() {
   announce(message);
 }
 
-function toggleNoiseLearning() {
-  state.isLearning = !state.isLearning;
-  learnNoiseBtn.classList.toggle('learning', state.isLearning);
-  learnNoiseBtn.textContent = state.isLearning ? 'Learning...' : 'Learn Noise';
+function toggleDialogue() {
+  state.dialogue = dialogueCheckbox.checked;
+  sendMessage('SET_DIALOGUE', { enabled: state.dialogue, tabId: state.tabId });
+  announce(state.dialogue ? 'Dialogue enhancement on' : 'Dialogue enhancement off');
+}
+
+function toggleRememberSite() {
+  const remember = rememberSiteCheckbox.checked;
+  sendMessage('SET_SITE_PROFILE', {
+    tabId: state.tabId,
+    origin: state.origin,
+    remember,
+    preset: state.preset,
+    bypassed: state.isBypassed
+  }, (response) => {
+    if (!response || response.error) return;
+    state.siteRemembered = response.remembered;
+    updateUI();
+  });
+
+  const host = new URL(state.origin).hostname;
+  announce(remember ? `Settings remembered for ${host}` : `Using global settings for ${host}`);
+}
+
+function toggleWebAudio() {
+  const enabled = webAudioCheckbox.checked;
+  sendMessage('SET_WEB_AUDIO', { origin: state.origin, enabled }, (response) => {
+    if (!response || response.error) return;
+    state.webAudio = response.enabled;
+    updateUI();
+  });
 
-  sendMessage({ type: state.isLearning ? 'START_NOISE_LEARN' : 'STOP_NOISE_LEARN' });
+  announce(enabled
+    ? 'Web Audio processing enabled. Reload the page to apply.'
+    : 'Web Audio processing disabled. Reload the page to apply.');
+}
+
+function applyToAllTabs() {
+  sendMessage('APPLY_TO_ALL_TABS', {
+    preset: state.preset,
+    bypassed: state.isBypassed
+  }, (response) => {
+    if (!response || response.error) return;
+    const applied = `${getPresetLabel(state.preset)} applied to all tabs`;
+    const { skipped } = response;
+    announce(skipped
+      ? `${applied} except ${skipped} on ${skipped === 1 ? 'a site' : 'sites'} with remembered settings`
+      : applied);
+  });
+}
 
+function toggleNoiseLearning() {
   if (state.isLearning) {
-    announce('Learning noise profile. Play silent audio for best results.');
-    setTimeout(() => {
-      if (state.isLearning) {
-        state.isLearning = false;
-        learnNoiseBtn.classList.remove('learning');
-        learnNoiseBtn.textContent = 'Learn Noise';
-        sendMessage({ type: 'STOP_NOISE_LEARN' });
-        announce('Noise profile learned');
-      }
-    }, 3000);
+    stopNoiseLearning();
+    return;
   }
+
+  setLearning(true);
+  sendMessage('START_NOISE_LEARN', { tabId: state.tabId });
+  announce('Learning noise profile. Play silent audio for best results.');
+  state.learnTimer = setTimeout(stopNoiseLearning, 3000);
+}
+
+// The tab answers with the profile it learned, or none if nothing it
+// played was heard while learning
+function stopNoiseLearning() {
+  clearTimeout(state.learnTimer);
+  setLearning(false);
+  sendMessage('STOP_NOISE_LEARN', { tabId: state.tabId }, (response) => {
+    announce(response && !response.error && response.profile
+      ? 'Noise profile learned'
+      : 'No noise profile learned. Play the media and try again.');
+  });
+}
+
+function setLearning(learning) {
+  state.isLearning = learning;
+  learnNoiseBtn.classList.toggle('learning', learning);
+  learnNoiseBtn.textContent = learning ? 'Learning...' : 'Learn Noise';
 }
 
 function updateUI() {
@@ -121,37 +291,241 @@ function updateUI() {
   bypassBtn.querySelector('.bypass-state').textContent = state.isBypassed ? 'ON' : 'OFF';
 
   // Update status
-  statusIndicator.classList.toggle('bypassed', state.isBypassed);
-  statusText.textContent = state.isBypassed ? 'Bypassed' : 'Active';
+  statusIndicator.classList.toggle('bypassed', state.isBypassed || !state.connected);
+  if (!state.connected) {
+    statusText.textContent = 'Not on this page';
+  } else {
+    statusText.textContent = state.isBypassed ? 'Bypassed' : 'Active';
+  }
 
   // Update preset
   presetSelect.value = state.preset;
+  dialogueCheckbox.disabled = !state.connected;
+  dialogueCheckbox.checked = state.dialogue;
+
+  // Update site toggle
+  rememberSiteCheckbox.disabled = !state.origin;
+  rememberSiteCheckbox.checked = state.siteRemembered;
+  rememberSiteLabel.textContent = state.origin
+    ? `Remember for ${new URL(state.origin).hostname}`
+    : 'Remember for this site';
+  webAudioCheckbox.disabled = !state.origin;
+  webAudioCheckbox.checked = state.webAudio;
+
+  updateFallbackNotice();
 }
 
-function updateMeters(input, output) {
-  state.inputLevel = input;
-  state.outputLevel = output;
+// Explain media that is playing without processing, or about to
+function updateFallbackNotice() {
+  const { fallback } = state;
+  fallbackNotice.hidden = !fallback;
+  if (!fallback) return;
 
+  const source = fallback.mediaOrigin ? new URL(fallback.mediaOrigin).hostname : 'another site';
+  const messages = {
+    direct: `Media from ${source} blocks audio processing (no CORS), so it plays unprocessed.`,
+    'cors-retry': `Media from ${source} was loaded without CORS, which mutes it for processing. Retrying it with CORS…`,
+    reload: `Media from ${source} can't be processed. Reload the page to hear it unprocessed.`
+  };
+  fallbackNotice.textContent = messages[fallback.mode] || '';
+}
+
+function updateMeters(input, output, inputPeak = input, outputPeak = output) {
+  state.inputLevel = Math.max(-60, input);
+  state.outputLevel = Math.max(-60, output);
+
+  setMeter(inputMeterBar, inputMeter, inputPeakMarker, inputLevelText, state.inputLevel, inputPeak);
+  setMeter(outputMeterBar, outputMeter, outputPeakMarker, outputLevelText, state.outputLevel, outputPeak);
+}
+
+function setMeter(bar, fill, peakMarker, text, rmsDb, peakDb) {
   // Convert dB to percentage (0-100)
-  const inputPercent = Math.max(0, Math.min(100, (input + 60) / 60 * 100));
-  const outputPercent = Math.max(0, Math.min(100, (output + 60) / 60 * 100));
+  const toPercent = (db) => Math.max(0, Math.min(100, (db + 60) / 60 * 100));
 
-  inputMeter.style.width = `${inputPercent}%`;
-  outputMeter.style.width = `${outputPercent}%`;
+  fill.style.width = `${toPercent(rmsDb)}%`;
+  peakMarker.style.left = `${toPercent(peakDb)}%`;
 
-  inputLevelText.textContent = `${input.toFixed(0)} dB`;
-  outputLevelText.textContent = `${output.toFixed(0)} dB`;
+  const rounded = Math.round(rmsDb);
+  bar.setAttribute('aria-valuenow', rounded.toString());
+  bar.setAttribute('aria-valuetext', `${rounded} dB, peak ${Math.round(Math.max(-60, peakDb))} dB`);
+  text.textContent = `${rounded} dB`;
+}
+
+function stageMeter(fillId, textId) {
+  return {
+    bar: document.getElementById(`${fillId}-bar`),
+    fill: document.getElementById(fillId),
+    text: document.getElementById(textId)
+  };
+}
+
+// Normalizer gain, then the cuts the compressor and limiter are making
+function updateStageMeters({ normalizerGain, gainReduction, limiterReduction }) {
+  const gain = Math.abs(normalizerGain) < 0.05 ? 0 : normalizerGain;
+  setStageMeter(stageMeters.normalizer, gain,
+    gain > 0 ? `Boosting ${gain.toFixed(1)} dB`
+      : gain < 0 ? `Turning down ${(-gain).toFixed(1)} dB`
+        : 'Not changing the level');
+  setStageMeter(stageMeters.compressor, gainReduction,
+    gainReduction >= 0.05 ? `Reducing ${gainReduction.toFixed(1)} dB` : 'Not reducing');
+  setStageMeter(stageMeters.limiter, limiterReduction,
+    limiterReduction >= 0.05 ? `Reducing ${limiterReduction.toFixed(1)} dB` : 'Not reducing');
+}
+
+// The fill runs from 0 dB to the value, within the bar's aria range
+function setStageMeter({ bar, fill, text }, db, description) {
+  const min = Number(bar.getAttribute('aria-valuemin'));
+  const max = Number(bar.getAttribute('aria-valuemax'));
+  const toPercent = (value) => Math.max(0, Math.min(100, (value - min) / (max - min) * 100));
+  const zero = toPercent(0);
+  const value = toPercent(db);
+
+  fill.style.left = `${Math.min(zero, value)}%`;
+  fill.style.width = `${Math.abs(value - zero)}%`;
+
+  const rounded = Math.round(db * 10) / 10;
+  bar.setAttribute('aria-valuenow', rounded.toString());
+  bar.setAttribute('aria-valuetext', description);
+  text.textContent = `${rounded > 0 && min < 0 ? '+' : ''}${rounded.toFixed(1)} dB`;
+}
+
+function updateLatency(ms) {
+  latencyText.textContent = ms ? `Latency ${Math.round(ms)} ms` : '';
+}
+
+// What the Auto preset has decided is playing. Only set on a change, as the
+// line is a live region.
+function updateContentClass(contentClass) {
+  if (contentClass === state.contentClass) return;
+  state.contentClass = contentClass;
+  const descriptions = {
+    speech: 'Auto is tuned for speech',
+    music: 'Auto is tuned for music',
+    mixed: 'Auto is tuned for speech and music together'
+  };
+  contentClassText.hidden = !contentClass;
+  contentClassText.textContent = descriptions[contentClass] || '';
+}
+
+// Sudden loudness jumps the normalizer has caught on this page; a live
+// region too, so a catch is announced once
+function updateJumpCount(count) {
+  if (count === state.loudnessJumps) return;
+  state.loudnessJumps = count;
+  jumpCountText.hidden = count === 0;
+  jumpCountText.textContent = `Caught ${count} sudden loudness ${count === 1 ? 'jump' : 'jumps'}`;
 }
 
 function startMeterUpdates() {
   // Request meter updates from content script
   setInterval(() => {
-    sendMessage({ type: 'GET_LEVELS' }, (response) => {
+    sendMessage('GET_LEVELS', { tabId: state.tabId }, (response) => {
       if (response && response.levels) {
-        updateMeters(response.levels.input, response.levels.output);
+        const { input, output, inputPeak, outputPeak, latency } = response.levels;
+        updateMeters(input, output, inputPeak, outputPeak);
+        updateStageMeters(response.levels);
+        updateLatency(latency);
+        updateContentClass(response.levels.contentClass);
+        updateJumpCount(response.levels.loudnessJumps);
       }
     });
   }, 100);
+
+  setInterval(fetchHistory, 1000);
+}
+
+// The content script keeps the history, so the graph fills in at once
+function fetchHistory() {
+  if (state.tabId === null) return;
+  sendMessage('GET_HISTORY', { tabId: state.tabId }, (response) => {
+    if (!response || response.error) return;
+    state.history = response.history;
+    drawHistory();
+  });
+}
+
+function drawHistory() {
+  const ctx = historyCanvas.getContext('2d');
+  const { width, height } = historyCanvas;
+  const styles = getComputedStyle(document.documentElement);
+  const color = (name) => styles.getPropertyValue(name).trim();
+  const scale = window.devicePixelRatio || 1;
+
+  ctx.clearRect(0, 0, width, height);
+
+  const toY = (db) => Math.min(height, Math.max(0, db / HISTORY_FLOOR_LUFS * height));
+  ctx.lineWidth = scale;
+  ctx.strokeStyle = color('--bg-tertiary');
+  HISTORY_GRID_LUFS.forEach((db) => {
+    ctx.beginPath();
+    ctx.moveTo(0, toY(db));
+    ctx.lineTo(width, toY(db));
+    ctx.stroke();
+  });
+
+  if (!state.history) {
+    historyCanvas.setAttribute('aria-label', 'No loudness measured yet');
+    return;
+  }
+
+  // Newest point on the right edge; a short history leaves the left empty
+  const count = Math.round(state.historyWindow * 1000 / state.history.intervalMs);
+  const points = state.history.points.slice(-count);
+  const toX = (index) => width - (points.length - 1 - index) * width / (count - 1);
+
+  // Gaps (null values) break the line rather than dropping to the floor
+  const trace = (value, stroke, dash = []) => {
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 1.5 * scale;
+    ctx.setLineDash(dash.map(d => d * scale));
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach((point, index) => {
+      const db = value(point);
+      if (db === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(toX(index), toY(db));
+      } else {
+        ctx.moveTo(toX(index), toY(db));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+
+  trace(p => p.target, color('--warning'), [4, 3]);
+  trace(p => p.input, color('--text-secondary'));
+  trace(p => p.output, color('--success'));
+  trace(p => p.gainReduction > 0 ? -p.gainReduction : null, color('--accent'));
+
+  historyCanvas.setAttribute('aria-label', describeHistory(points));
+}
+
+// Text equivalent of the graph for screen readers
+function describeHistory(points) {
+  const span = `the last ${state.historyWindow} seconds`;
+  const measured = points.filter(p => p.output !== null);
+  if (measured.length === 0) return `No audio measured in ${span}`;
+
+  const range = (key) => {
+    const values = measured.map(p => p[key]).filter(v => v !== null);
+    if (values.length === 0) return null;
+    const low = Math.round(Math.min(...values));
+    const high = Math.round(Math.max(...values));
+    return low === high ? `${low}` : `${low} to ${high}`;
+  };
+  const parts = [`output ${range('output')} LUFS`];
+  const input = range('input');
+  if (input !== null) parts.push(`input ${input} LUFS`);
+  const last = points[points.length - 1];
+  if (last.target !== null) parts.push(`target ${last.target} LUFS`);
+  const reduction = Math.max(...measured.map(p => p.gainReduction));
+  if (reduction > 0) parts.push(`up to ${Math.round(reduction)} dB of gain reduction`);
+  return `Short-term loudness over ${span}: ${parts.join(', ')}`;
 }
 
 function handleKeyboard(e) {
@@ -197,7 +571,8 @@ function getPresetLabel(preset) {
     night: 'Night Mode',
     hearing: 'Hearing Assistance'
   };
-  return labels[preset] || preset;
+  const custom = state.presets.find(p => p.id === preset);
+  return labels[preset] || (custom ? custom.name : preset);
 }
 
 function announce(message) {
@@ -208,9 +583,15 @@ function announce(message) {
   }, 1000);
 }
 
-function sendMessage(message, callback) {
+// Replies carrying a protocol error are logged, then still passed on so the
+// caller can react
+function sendMessage(type, fields, callback) {
   try {
-    chrome.runtime.sendMessage(message, callback);
+    chrome.runtime.sendMessage(createMessage(type, fields), (response) => {
+      const error = responseError(response);
+      if (error) console.error(`VoluMod: ${type} failed`, error.toJSON());
+      if (callback) callback(response);
+    });
   } catch (e) {
     console.error('VoluMod: Failed to send message', e);
   }
@@ -218,13 +599,34 @@ function sendMessage(message, callback) {
 
 // Listen for messages from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const error = validateMessage(message);
+  if (error) {
+    console.error('VoluMod: Rejected message', error.toJSON());
+    return;
+  }
+
   switch (message.type) {
     case 'LEVELS_UPDATE':
-      updateMeters(message.input, message.output);
+      if (message.tabId !== state.tabId) break;
+      updateMeters(message.input, message.output, message.inputPeak, message.outputPeak);
+      updateStageMeters(message);
+      updateLatency(message.latency);
+      updateContentClass(message.contentClass);
+      updateJumpCount(message.loudnessJumps);
+      break;
+    case 'MEDIA_FALLBACK':
+      if (message.tabId !== state.tabId) break;
+      state.fallback = message.mode === 'recovered'
+        ? null
+        : { mode: message.mode, mediaOrigin: message.mediaOrigin };
+      updateFallbackNotice();
       break;
     case 'STATE_UPDATE':
+      if (message.tabId !== state.tabId) break;
+      state.connected = true;
       state.isBypassed = message.bypassed;
       state.preset = message.preset;
+      state.dialogue = message.dialogue;
       updateUI();
       break;
   }
@@ -0,0 +1,277 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Message Protocol
+// Schemas for every runtime message between the popup, options page,
+// background worker and content scripts, with a version and structured errors,
+// and for the messages between content scripts and the worklet processor.
+//
+// Content scripts can't import modules, so this is a classic script that
+// publishes itself as globalThis.VoluModProtocol. The manifest lists it before
+// content.js, background.js imports it, and the popup and options pages load
+// it ahead of their own scripts.
+
+(function() {
+  'use strict';
+
+  if (globalThis.VoluModProtocol) return;
+
+  // Bump whenever a message changes shape. Every message carries it as `v`, so
+  // a popup or content script from another build is rejected, not misread.
+  const PROTOCOL_VERSION = 1;
+
+  const ErrorCode = Object.freeze({
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    VERSION_MISMATCH: 'VERSION_MISMATCH',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    UNEXPECTED_MESSAGE: 'UNEXPECTED_MESSAGE',
+    NO_ORIGIN: 'NO_ORIGIN'
+  });
+
+  class ProtocolError extends Error {
+    constructor(code, message, details = {}) {
+      super(message);
+      this.name = 'ProtocolError';
+      this.code = code;
+      this.details = details;
+    }
+
+    // Plain form, as sent back in { error }
+    toJSON() {
+      return { code: this.code, message: this.message, ...this.details };
+    }
+  }
+
+  // Field checks
+  const isBoolean = (value) => typeof value === 'boolean';
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isString = (value) => typeof value === 'string';
+  const isTabId = (value) => Number.isInteger(value) && value >= 0;
+  const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isArray = (value) => Array.isArray(value);
+  const optional = (check) => (value) => value === undefined || check(value);
+  const nullable = (check) => (value) => value === null || check(value);
+  const oneOf = (...values) => (value) => values.includes(value);
+
+  const CONTENT_CLASSES = ['speech', 'music', 'mixed'];
+
+  // Meter readings in dBFS; latency in ms; compressor and limiter gain
+  // reduction and normalizer gain in dB; integrated input loudness in LUFS,
+  // null until it has been measured; what the Auto preset thinks is playing,
+  // null on other presets or until it has decided; and the sudden loudness
+  // jumps caught since the page loaded
+  const LEVEL_FIELDS = {
+    input: isNumber,
+    output: isNumber,
+    inputPeak: isNumber,
+    outputPeak: isNumber,
+    latency: isNumber,
+    gainReduction: isNumber,
+    limiterReduction: isNumber,
+    normalizerGain: isNumber,
+    loudness: nullable(isNumber),
+    contentClass: nullable(oneOf(...CONTENT_CLASSES)),
+    loudnessJumps: isCount
+  };
+
+  const FALLBACK_MODES = ['direct', 'cors-retry', 'reload', 'recovered'];
+
+  // Every message type and its fields, besides `type` and `v`. Fields not
+  // listed are rejected, which catches misspellings as well as old shapes.
+  const MESSAGES = {
+    // Popup and options page -> background. tabId/origin are null when the
+    // active tab is not a web page.
+    GET_STATE: { tabId: nullable(isTabId), origin: nullable(isString) },
+    GET_LEVELS: { tabId: nullable(isTabId) },
+    GET_PRESETS: {},
+    SAVE_CUSTOM_PRESETS: { customPresets: isArray },
+    SET_BYPASS: { tabId: nullable(isTabId), bypassed: isBoolean },
+    SET_PRESET: { tabId: nullable(isTabId), preset: isString },
+    SET_DIALOGUE: { tabId: nullable(isTabId), enabled: isBoolean },
+    APPLY_TO_ALL_TABS: { bypassed: isBoolean, preset: isString },
+    SET_SITE_PROFILE: {
+      tabId: nullable(isTabId),
+      origin: nullable(isString),
+      remember: isBoolean,
+      bypassed: isBoolean,
+      preset: isString
+    },
+    SET_WEB_AUDIO: { origin: nullable(isString), enabled: isBoolean },
+
+    // Popup -> background -> content script; the tabId is dropped on the way
+    START_NOISE_LEARN: { tabId: optional(nullable(isTabId)) },
+    STOP_NOISE_LEARN: { tabId: optional(nullable(isTabId)) },
+    GET_HISTORY: { tabId: optional(nullable(isTabId)) },
+
+    // Content script -> background. The background passes the tab's combined
+    // levels and fallback state on to the popup with a tabId added.
+    TAB_CONNECTED: {},
+    TAB_DISCONNECTED: {},
+    LEVELS_UPDATE: { tabId: optional(isTabId), ...LEVEL_FIELDS },
+    MEDIA_FALLBACK: {
+      tabId: optional(isTabId),
+      mode: oneOf(...FALLBACK_MODES),
+      mediaOrigin: nullable(isString)
+    },
+
+    // Background -> content script. PING asks a tab, after the worker has
+    // restarted, whether its content script is still running. webAudio, sent
+    // only to a frame as it connects, says whether that frame's own site has
+    // opted in to Web Audio processing.
+    PING: {},
+    INIT_STATE: {
+      bypassed: isBoolean,
+      preset: isString,
+      settings: isObject,
+      taintedOrigins: isArray,
+      webAudio: optional(isBoolean)
+    },
+
+    // Background -> popup, whenever a tab's bypass, preset or dialogue
+    // enhancer changes
+    STATE_UPDATE: { tabId: isTabId, bypassed: isBoolean, preset: isString, dialogue: isBoolean }
+  };
+
+  // Worklet processor messages, over AudioWorkletNode.port. The processor
+  // (rescript/src/VoluModProcessor.res) can't load this file, so
+  // tests/protocol.test.mjs holds the two to each other.
+  const inRange = (min, max) => (value) => typeof value === 'number' && value >= min && value <= max;
+  const isDb = inRange(-Infinity, 200);
+  const isGainDb = inRange(-200, 200);
+  const isNoiseProfile = (value) => isObject(value) && isGainDb(value.floorDb) &&
+    isArray(value.bands) && value.bands.every(Number.isFinite) && isCount(value.frames);
+
+  // Content script -> processor. Their fields are listed in the processor.
+  const PROCESSOR_COMMANDS = [
+    'SET_BYPASS',
+    'SET_PRESET',
+    'SET_LIMITER',
+    'RESET_LOUDNESS',
+    'SET_LOUDNESS_WINDOW',
+    'SEED_LOUDNESS',
+    'SET_NOISE_PROFILE',
+    'START_NOISE_LEARN',
+    'STOP_NOISE_LEARN'
+  ];
+
+  // Processor -> content script. Processors in a page's own AudioContext
+  // (webaudio-hook.js) talk through the page, which can post anything, so
+  // nothing is used before it passes these checks.
+  const PROCESSOR_MESSAGES = {
+    LEVELS: {
+      inputSilent: isBoolean,
+      inputPeak: isDb,
+      inputRms: isDb,
+      outputPeak: isDb,
+      outputRms: isDb,
+      gainReductionDb: isGainDb,
+      limiterReductionDb: isGainDb,
+      normalizerGainDb: isGainDb,
+      integratedLufs: isDb,
+      loudnessSeconds: inRange(0, Number.MAX_VALUE),
+      inputShortTermLufs: isDb,
+      outputShortTermLufs: isDb,
+      contentClass: oneOf('', ...CONTENT_CLASSES),
+      loudnessJumps: isCount
+    },
+    LATENCY: { samples: isCount, ms: inRange(0, 10000) },
+    NOISE_PROFILE: { profile: nullable(isNoiseProfile) }
+  };
+
+  // Why a message's fields don't match its schema, as a ProtocolError, or null
+  function checkFields(message, schema, allowed = []) {
+    const { type } = message;
+    const invalid = Object.keys(schema).find(field => !schema[field](message[field]));
+    if (invalid) {
+      return new ProtocolError(
+        ErrorCode.INVALID_MESSAGE,
+        `${type} has an invalid ${invalid}: ${JSON.stringify(message[invalid])}`,
+        { type, field: invalid }
+      );
+    }
+
+    const unexpected = Object.keys(message)
+      .find(field => field !== 'type' && !allowed.includes(field) && !Object.hasOwn(schema, field));
+    if (unexpected) {
+      return new ProtocolError(
+        ErrorCode.INVALID_MESSAGE,
+        `${type} has an unexpected field ${unexpected}`,
+        { type, field: unexpected }
+      );
+    }
+
+    return null;
+  }
+
+  // Why a message is malformed, as a ProtocolError, or null if it is valid
+  function validateMessage(message) {
+    if (!isObject(message) || !isString(message.type)) {
+      return new ProtocolError(ErrorCode.INVALID_MESSAGE, 'Message has no type');
+    }
+    const { type } = message;
+
+    if (message.v !== PROTOCOL_VERSION) {
+      return new ProtocolError(
+        ErrorCode.VERSION_MISMATCH,
+        `${type} uses protocol version ${message.v}, expected ${PROTOCOL_VERSION}`,
+        { type, version: message.v }
+      );
+    }
+
+    if (!Object.hasOwn(MESSAGES, type)) {
+      return new ProtocolError(ErrorCode.UNKNOWN_TYPE, `Unknown message type ${type}`, { type });
+    }
+
+    return checkFields(message, MESSAGES[type], ['v']);
+  }
+
+  // Why a message from a processor is malformed, as a ProtocolError, or null
+  function validateProcessorMessage(message) {
+    if (!isObject(message) || !isString(message.type)) {
+      return new ProtocolError(ErrorCode.INVALID_MESSAGE, 'Message has no type');
+    }
+    if (!Object.hasOwn(PROCESSOR_MESSAGES, message.type)) {
+      return new ProtocolError(
+        ErrorCode.UNKNOWN_TYPE,
+        `Unknown processor message type ${message.type}`,
+        { type: message.type }
+      );
+    }
+    return checkFields(message, PROCESSOR_MESSAGES[message.type]);
+  }
+
+  // Build a message stamped with the protocol version. A malformed message
+  // throws here, in the sender, rather than being dropped by the receiver.
+  function createMessage(type, fields = {}) {
+    const message = { ...fields, type, v: PROTOCOL_VERSION };
+    const error = validateMessage(message);
+    if (error) throw error;
+    return message;
+  }
+
+  // Reply for sendResponse when a message can't be handled
+  function errorResponse(error) {
+    return { error: error.toJSON() };
+  }
+
+  // The error in a reply, or null if the request succeeded
+  function responseError(response) {
+    if (!response || !isObject(response.error)) return null;
+    const { code, message, ...details } = response.error;
+    return new ProtocolError(code, message, details);
+  }
+
+  globalThis.VoluModProtocol = Object.freeze({
+    PROTOCOL_VERSION,
+    ErrorCode,
+    ProtocolError,
+    MESSAGES,
+    PROCESSOR_COMMANDS,
+    PROCESSOR_MESSAGES,
+    validateMessage,
+    validateProcessorMessage,
+    createMessage,
+    errorResponse,
+    responseError
+  });
+})();
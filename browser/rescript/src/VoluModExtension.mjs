@@ -60,12 +60,12 @@ let presets = [
   }
 ];
 
-function handleMessage(message) {
+function handleMessage(_message) {
   
 }
 
 function init() {
-  chrome.storage.local.get(["volumod_settings"], settings => {});
+  chrome.storage.local.get(["volumod_settings"], _settings => {});
 }
 
 function saveSettings() {
@@ -117,7 +117,7 @@ let PopupUI = {
   updateUI: updateUI
 };
 
-function announce(message, priority) {
+function announce(_message, _priority) {
   document.createElement("div");
 }
 
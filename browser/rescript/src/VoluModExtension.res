@@ -3,9 +3,9 @@
 
 module Document = {
   @val external document: 'a = "document"
-  @send external getElementById: ('a, string) => Js.Nullable.t<Dom.element> = "getElementById"
+  @send external getElementById: ('a, string) => Nullable.t<Dom.element> = "getElementById"
   @send external createElement: ('a, string) => Dom.element = "createElement"
-  @send external querySelector: ('a, string) => Js.Nullable.t<Dom.element> = "querySelector"
+  @send external querySelector: ('a, string) => Nullable.t<Dom.element> = "querySelector"
 }
 
 module Window = {
@@ -71,7 +71,7 @@ type messageType =
   | UpdateLevels(float, float)
 
 // Handle incoming messages
-let handleMessage = (message: 'a): unit => {
+let handleMessage = (_message: 'a): unit => {
   // Message handling logic
   ()
 }
@@ -79,7 +79,7 @@ let handleMessage = (message: 'a): unit => {
 // Initialize extension
 let init = (): unit => {
   // Load saved settings
-  Chrome.Storage.Local.get(["volumod_settings"], settings => {
+  Chrome.Storage.Local.get(["volumod_settings"], _settings => {
     // Apply saved settings
     ()
   })
@@ -109,7 +109,7 @@ let setPreset = (presetName: string): unit => {
   state.preset = presetName
 
   // Find preset config
-  let presetOpt = Js.Array2.find(presets, p => p.name == presetName)
+  let presetOpt = Array.find(presets, p => p.name == presetName)
   switch presetOpt {
   | Some(preset) => {
       state.targetLufs = preset.targetLufs
@@ -122,17 +122,17 @@ let setPreset = (presetName: string): unit => {
 // UI State for popup
 module PopupUI = {
   type uiState = {
-    mutable bypassButton: Js.Nullable.t<Dom.element>,
-    mutable presetSelect: Js.Nullable.t<Dom.element>,
-    mutable levelMeter: Js.Nullable.t<Dom.element>,
-    mutable statusText: Js.Nullable.t<Dom.element>,
+    mutable bypassButton: Nullable.t<Dom.element>,
+    mutable presetSelect: Nullable.t<Dom.element>,
+    mutable levelMeter: Nullable.t<Dom.element>,
+    mutable statusText: Nullable.t<Dom.element>,
   }
 
   let ui: uiState = {
-    bypassButton: Js.Nullable.null,
-    presetSelect: Js.Nullable.null,
-    levelMeter: Js.Nullable.null,
-    statusText: Js.Nullable.null,
+    bypassButton: Nullable.null,
+    presetSelect: Nullable.null,
+    levelMeter: Nullable.null,
+    statusText: Nullable.null,
   }
 
   let initUI = (): unit => {
@@ -150,9 +150,9 @@ module PopupUI = {
 
 // Accessibility announcements
 module Accessibility = {
-  let announce = (message: string, priority: string): unit => {
+  let announce = (_message: string, _priority: string): unit => {
     // Create live region announcement
-    let liveRegion = Document.createElement(Document.document, "div")
+    let _liveRegion = Document.createElement(Document.document, "div")
     // Set ARIA attributes and announce
     ()
   }
@@ -1,37 +1,129 @@
 // VoluMod Browser Extension - Audio Worklet Processor
 // Built with ReScript for optimal JavaScript output
+//
+// This is the worklet module itself: `just build-browser` copies the compiled
+// output to browser/worklet/volumod-processor.js, which the content script
+// (and the page hook) load by URL. Worklet modules cannot import anything, so
+// this file sticks to externals, floats and typed arrays, and to the Stdlib
+// functions that compile to plain JavaScript (Math, Array.getUnsafe/forEach/
+// map/push, Int and Float conversions): no Belt, no Array.make or reduce, and
+// no integer division or modulo.
+//
+// Message protocol (AudioWorkletNode.port). The content script's side is
+// PROCESSOR_COMMANDS and PROCESSOR_MESSAGES in browser/protocol.js;
+// browser/tests/protocol.test.mjs fails when the two drift apart.
+//
+//   In:  SET_BYPASS {value}
+//        SET_PRESET {targetLufs, ratio, thresholdDb, kneeDb, attackMs, releaseMs,
+//                    makeupDb, ceilingDb, lookaheadMs, eqGains, eqAdaptive,
+//                    noiseReduction,
+//                    stereoLink, midSide, multiband, bands, crossoverHz,
+//                    dialogue, contentAware, contentProfiles, jumpGuard,
+//                    jumpThresholdDb}
+//                    stereoLink is "max" or "sum"; see VoluModProcessor.compress.
+//                    bands is [low, mid, high] of {thresholdDb, ratio, attackMs,
+//                    releaseMs}; crossoverHz is [low split, high split].
+//                    dialogue turns on DialogueEnhancer. contentAware (the
+//                    Auto preset) glides between contentProfiles {speech,
+//                    music} of {targetLufs, ratio, thresholdDb, attackMs,
+//                    releaseMs, eqGains} as ContentClassifier's verdict changes.
+//                    jumpGuard turns JumpGuard on, catching momentary loudness
+//                    more than jumpThresholdDb above the recent baseline.
+//        SET_LIMITER {ceilingDb?, lookaheadMs?, attackMs?, releaseMs?}
+//        RESET_LOUDNESS {scope}        "track" starts the integrated loudness
+//                                      over for new media; "window" restarts
+//                                      the momentary and short-term windows
+//                                      after a seek
+//        SET_LOUDNESS_WINDOW {seconds} integrate over a sliding window (live
+//                                      streams), or the whole track with 0
+//        SEED_LOUDNESS {integratedLufs} the track's loudness from an earlier
+//                                      play; the normalizer starts at its
+//                                      gain and trusts its own measurement
+//                                      more as it builds up, dropping the
+//                                      seed if the two disagree. Values
+//                                      outside -70..0 LUFS are ignored.
+//        SET_NOISE_PROFILE {profile}   null clears the profile
+//        START_NOISE_LEARN
+//        STOP_NOISE_LEARN              answered with NOISE_PROFILE
+//
+//   Out: LEVELS {inputSilent, inputPeak, inputRms, outputPeak, outputRms,
+//                gainReductionDb, limiterReductionDb, normalizerGainDb,
+//                integratedLufs, inputShortTermLufs, outputShortTermLufs,
+//                loudnessSeconds, contentClass, loudnessJumps}
+//               dBFS, every ~50 ms; gainReductionDb and limiterReductionDb
+//               are the compressor's and limiter's deepest cuts over the
+//               interval, normalizerGainDb the gain the normalizer is
+//               applying (negative when it turns down), integratedLufs the input's
+//               gated loudness since the track began (or over the sliding
+//               window), and the short-term values the last
+//               3 s of input and output (all -Infinity until measured).
+//               loudnessSeconds is how much audible input integratedLufs
+//               is based on.
+//               contentClass is "speech", "music" or "mixed" while
+//               contentAware, and "" otherwise or until classified;
+//               loudnessJumps the jumps JumpGuard caught over the interval
+//        LATENCY {samples, ms}         whenever the chain's delay changes
+//        NOISE_PROFILE {profile}       {floorDb, bands, frames} or null
+//
+// Fields missing from a message leave the current setting unchanged.
 
-module AudioWorklet = {
-  type t
-
-  @send external registerProcessor: (t, string, 'a) => unit = "registerProcessor"
-}
+open AudioWorkletProcessor
 
 module Float32Array = {
   type t
 
   @new external make: int => t = "Float32Array"
+  @val @scope("Float32Array") external fromArray: array<float> => t = "from"
+  @val @scope("Array") external toArray: t => array<float> = "from"
   @get external length: t => int = "length"
   @get_index external get: (t, int) => float = ""
   @set_index external set: (t, int, float) => unit = ""
+  @send external fill: (t, float) => unit = "fill"
+  @send external fillFrom: (t, float, int) => unit = "fill"
+  @send external copyWithin: (t, int, int) => unit = "copyWithin"
+  @send external setFrom: (t, t) => unit = "set"
+}
+
+module Float64Array = {
+  type t
+
+  @new external make: int => t = "Float64Array"
+  @get_index external get: (t, int) => float = ""
+  @set_index external set: (t, int, float) => unit = ""
+  @send external fill: (t, float) => unit = "fill"
+}
+
+module Int32Array = {
+  type t
+
+  @new external make: int => t = "Int32Array"
+  @get_index external get: (t, int) => int = ""
+  @set_index external set: (t, int, int) => unit = ""
 }
 
+// One Float32Array per channel, as handed to AudioWorkletProcessor.process
+type channels = array<Float32Array.t>
+
+@val @scope("Array") external isArray: 'a => bool = "isArray"
+@val external isNaN: float => bool = "isNaN"
+@val external infinity: float = "Infinity"
+
 // DSP Utilities
 module DSP = {
   let dbToLinear = (db: float): float => {
-    Js.Math.pow_float(~base=10.0, ~exp=db /. 20.0)
+    Math.pow(10.0, ~exp=db /. 20.0)
   }
 
   let linearToDb = (linear: float): float => {
     if linear <= 0.0 {
       -120.0
     } else {
-      20.0 *. Js.Math.log10(linear)
+      20.0 *. Math.log10(linear)
     }
   }
 
   let clamp = (value: float, minVal: float, maxVal: float): float => {
-    Js.Math.max_float(minVal, Js.Math.min_float(maxVal, value))
+    Math.max(minVal, Math.min(maxVal, value))
   }
 
   let smoothCoefficient = (timeMs: float, sampleRate: float): float => {
@@ -39,7 +131,7 @@ module DSP = {
       1.0
     } else {
       let samples = timeMs *. sampleRate /. 1000.0
-      1.0 -. Js.Math.exp(-1.0 /. samples)
+      1.0 -. Math.exp(-1.0 /. samples)
     }
   }
 }
@@ -61,7 +153,7 @@ module EnvelopeFollower = {
   }
 
   let process = (ef: t, input: float): float => {
-    let absInput = Js.Math.abs_float(input)
+    let absInput = Math.abs(input)
     if absInput > ef.envelope {
       ef.envelope = ef.envelope +. ef.attackCoef *. (absInput -. ef.envelope)
     } else {
@@ -71,12 +163,14 @@ module EnvelopeFollower = {
   }
 }
 
-// Biquad Filter
+// Biquad Filter (Direct Form I, Audio EQ Cookbook designs)
+// Mirrors BiquadFilter in src/zig/core/dsp_utils.zig.
 module BiquadFilter = {
   type filterType =
     | LowPass
     | HighPass
     | BandPass
+    | Notch
     | Peak
     | LowShelf
     | HighShelf
@@ -106,9 +200,10 @@ module BiquadFilter = {
   }
 
   let configure = (f: t, filterType: filterType, freq: float, sampleRate: float, q: float, gainDb: float): unit => {
-    let w0 = 2.0 *. Js.Math._PI *. freq /. sampleRate
-    let cosW0 = Js.Math.cos(w0)
-    let sinW0 = Js.Math.sin(w0)
+    // Keep the design below Nyquist (the 16 kHz band at 32 kHz, for one)
+    let w0 = 2.0 *. Math.Constants.pi *. Math.min(freq, sampleRate *. 0.49) /. sampleRate
+    let cosW0 = Math.cos(w0)
+    let sinW0 = Math.sin(w0)
     let alpha = sinW0 /. (2.0 *. q)
     let a = DSP.dbToLinear(gainDb /. 2.0)
 
@@ -137,7 +232,44 @@ module BiquadFilter = {
         -2.0 *. cosW0,
         1.0 -. alpha,
       )
-    | _ => (1.0, 0.0, 0.0, 1.0, 0.0, 0.0)
+    | BandPass => (
+        alpha,
+        0.0,
+        -.alpha,
+        1.0 +. alpha,
+        -2.0 *. cosW0,
+        1.0 -. alpha,
+      )
+    | Notch => (
+        1.0,
+        -2.0 *. cosW0,
+        1.0,
+        1.0 +. alpha,
+        -2.0 *. cosW0,
+        1.0 -. alpha,
+      )
+    | LowShelf => {
+        let sqrtA2Alpha = 2.0 *. Math.sqrt(a) *. alpha
+        (
+          a *. ((a +. 1.0) -. (a -. 1.0) *. cosW0 +. sqrtA2Alpha),
+          2.0 *. a *. ((a -. 1.0) -. (a +. 1.0) *. cosW0),
+          a *. ((a +. 1.0) -. (a -. 1.0) *. cosW0 -. sqrtA2Alpha),
+          (a +. 1.0) +. (a -. 1.0) *. cosW0 +. sqrtA2Alpha,
+          -2.0 *. ((a -. 1.0) +. (a +. 1.0) *. cosW0),
+          (a +. 1.0) +. (a -. 1.0) *. cosW0 -. sqrtA2Alpha,
+        )
+      }
+    | HighShelf => {
+        let sqrtA2Alpha = 2.0 *. Math.sqrt(a) *. alpha
+        (
+          a *. ((a +. 1.0) +. (a -. 1.0) *. cosW0 +. sqrtA2Alpha),
+          -2.0 *. a *. ((a -. 1.0) +. (a +. 1.0) *. cosW0),
+          a *. ((a +. 1.0) +. (a -. 1.0) *. cosW0 -. sqrtA2Alpha),
+          (a +. 1.0) -. (a -. 1.0) *. cosW0 +. sqrtA2Alpha,
+          2.0 *. ((a -. 1.0) -. (a +. 1.0) *. cosW0),
+          (a +. 1.0) -. (a -. 1.0) *. cosW0 -. sqrtA2Alpha,
+        )
+      }
     }
 
     f.b0 = b0 /. a0
@@ -157,241 +289,2450 @@ module BiquadFilter = {
   }
 }
 
-// Normalizer
-module Normalizer = {
+// Spectral-gate noise reducer (STFT, 16 log-spaced bands)
+// Mirrors NoiseReducer in src/zig/processors/noise_reducer.zig.
+module NoiseReducer = {
+  let fftSize = 1024
+  let bins = 512 // fftSize / 2
+  let fftBits = 10 // log2(fftSize)
+  let hop = 256
+  let bandCount = 16
+  let reductionDb = 12.0
+  let updateRate = 0.1
+
+  type profile = {
+    mutable floorDb: float,
+    bands: Float32Array.t,
+    mutable frames: int,
+  }
+
+  // Profiles cross the port as plain objects
+  type profileMessage = {
+    floorDb: float,
+    bands: array<float>,
+    frames?: int,
+  }
+
+  type channel = {
+    input: Float32Array.t,
+    output: Float32Array.t,
+    re: Float32Array.t,
+    im: Float32Array.t,
+  }
+
   type t = {
     mutable enabled: bool,
-    mutable targetLufs: float,
-    mutable maxGainDb: float,
-    mutable minGainDb: float,
-    mutable currentGain: float,
-    mutable integratedSum: float,
-    mutable sampleCount: int,
-    gainSmooth: float,
+    mutable learning: bool,
+    mutable profile: option<profile>,
+    window: Float32Array.t,
+    olaScale: float,
+    bitRev: Int32Array.t,
+    cosTable: Float32Array.t,
+    sinTable: Float32Array.t,
+    binBand: Int32Array.t,
+    bandBins: Float32Array.t,
+    attackCoef: float,
+    releaseCoef: float,
+    bandGains: Float32Array.t,
+    bandPower: Float32Array.t,
+    channels: array<channel>,
+    mutable hopPos: int,
   }
 
   let make = (sampleRate: float): t => {
-    enabled: true,
-    targetLufs: -14.0, // Streaming standard
-    maxGainDb: 12.0,
-    minGainDb: -24.0,
-    currentGain: 1.0,
-    integratedSum: 0.0,
-    sampleCount: 0,
-    gainSmooth: DSP.smoothCoefficient(100.0, sampleRate),
+    let n = fftSize
+
+    // Hann window, used for analysis and synthesis (75% overlap)
+    let window = Float32Array.make(n)
+    let windowPower = ref(0.0)
+    for i in 0 to n - 1 {
+      Float32Array.set(
+        window,
+        i,
+        0.5 *. (1.0 -. Math.cos(2.0 *. Math.Constants.pi *. Int.toFloat(i) /. Int.toFloat(n))),
+      )
+      let w = Float32Array.get(window, i)
+      windowPower := windowPower.contents +. w *. w
+    }
+
+    // FFT tables
+    let bitRev = Int32Array.make(n)
+    for i in 0 to n - 1 {
+      let r = ref(0)
+      for b in 0 to fftBits - 1 {
+        r := Int.bitwiseOr(r.contents, Int.shiftLeft(Int.bitwiseAnd(Int.shiftRightUnsigned(i, b), 1), fftBits - 1 - b))
+      }
+      Int32Array.set(bitRev, i, r.contents)
+    }
+    let cosTable = Float32Array.make(bins)
+    let sinTable = Float32Array.make(bins)
+    for i in 0 to bins - 1 {
+      let angle = 2.0 *. Math.Constants.pi *. Int.toFloat(i) /. Int.toFloat(n)
+      Float32Array.set(cosTable, i, Math.cos(angle))
+      Float32Array.set(sinTable, i, Math.sin(angle))
+    }
+
+    // Logarithmic (Bark-like) bin -> band mapping
+    let binBand = Int32Array.make(bins + 1)
+    let bandBins = Float32Array.make(bandCount)
+    let maxFreq = sampleRate /. 2.0
+    for k in 0 to bins {
+      let freq = Int.toFloat(k) *. sampleRate /. Int.toFloat(n)
+      let band = if freq >= 100.0 {
+        let ratio = Math.log(freq /. 100.0) /. Math.log(maxFreq /. 100.0)
+        Math.Int.min(bandCount - 1, Float.toInt(Math.floor(ratio *. Int.toFloat(bandCount))))
+      } else {
+        0
+      }
+      Int32Array.set(binBand, k, band)
+      Float32Array.set(bandBins, band, Float32Array.get(bandBins, band) +. 1.0)
+    }
+
+    // Per-band gate gains, smoothed per frame
+    let framesPerSec = sampleRate /. Int.toFloat(hop)
+    let bandGains = Float32Array.make(bandCount)
+    Float32Array.fill(bandGains, 1.0)
+
+    {
+      enabled: false,
+      learning: false,
+      profile: None,
+      window,
+      olaScale: Int.toFloat(hop) /. windowPower.contents,
+      bitRev,
+      cosTable,
+      sinTable,
+      binBand,
+      bandBins,
+      attackCoef: 1.0 -. Math.exp(-1.0 /. (5.0 *. framesPerSec /. 1000.0)),
+      releaseCoef: 1.0 -. Math.exp(-1.0 /. (50.0 *. framesPerSec /. 1000.0)),
+      bandGains,
+      bandPower: Float32Array.make(bandCount),
+      channels: [],
+      hopPos: 0,
+    }
+  }
+
+  let active = (nr: t): bool => {
+    nr.learning || (nr.enabled && nr.profile !== None)
   }
 
-  let process = (n: t, samples: Float32Array.t): unit => {
-    if !n.enabled {
-      ()
+  // Latency introduced by the analysis/synthesis buffers, in samples
+  let latency = fftSize
+
+  let startLearning = (nr: t): unit => {
+    nr.learning = true
+    nr.profile = None
+  }
+
+  let stopLearning = (nr: t): option<profile> => {
+    nr.learning = false
+    nr.profile
+  }
+
+  let setProfile = (nr: t, profile: Nullable.t<profileMessage>): unit => {
+    let p: profileMessage = Obj.magic(profile)
+    if Nullable.isNullable(profile) || !isArray(p.bands) || Array.length(p.bands) != bandCount {
+      nr.profile = None
     } else {
-      let len = Float32Array.length(samples)
+      nr.profile = Some({
+        floorDb: p.floorDb,
+        bands: Float32Array.fromArray(p.bands),
+        frames: switch p.frames {
+        | Some(frames) => frames
+        | None => 0
+        },
+      })
+    }
+  }
 
-      // Calculate current level
-      let sumSquares = ref(0.0)
-      for i in 0 to len - 1 {
-        let sample = Float32Array.get(samples, i)
-        sumSquares := sumSquares.contents +. sample *. sample
+  let ensureChannels = (nr: t, count: int): unit => {
+    while Array.length(nr.channels) < count {
+      Array.push(
+        nr.channels,
+        {
+          input: Float32Array.make(fftSize),
+          output: Float32Array.make(fftSize),
+          re: Float32Array.make(fftSize),
+          im: Float32Array.make(fftSize),
+        },
+      )
+    }
+  }
+
+  // In-place radix-2 FFT; the inverse is scaled by 1/n
+  let fft = (nr: t, re: Float32Array.t, im: Float32Array.t, inverse: bool): unit => {
+    let n = fftSize
+    for i in 0 to n - 1 {
+      let j = Int32Array.get(nr.bitRev, i)
+      if j > i {
+        let t = Float32Array.get(re, i)
+        Float32Array.set(re, i, Float32Array.get(re, j))
+        Float32Array.set(re, j, t)
+        let t = Float32Array.get(im, i)
+        Float32Array.set(im, i, Float32Array.get(im, j))
+        Float32Array.set(im, j, t)
       }
+    }
 
-      let meanSquares = sumSquares.contents /. float_of_int(len)
-      let rmsDb = if meanSquares > 0.0 {
-        DSP.linearToDb(Js.Math.sqrt(meanSquares))
-      } else {
-        -120.0
+    let sign = inverse ? 1.0 : -1.0
+    let size = ref(2)
+    let step = ref(bins) // n / size
+    while size.contents <= n {
+      let half = Int.shiftRightUnsigned(size.contents, 1)
+      let start = ref(0)
+      while start.contents < n {
+        for k in 0 to half - 1 {
+          let wr = Float32Array.get(nr.cosTable, k * step.contents)
+          let wi = sign *. Float32Array.get(nr.sinTable, k * step.contents)
+          let a = start.contents + k
+          let b = a + half
+          let tr = Float32Array.get(re, b) *. wr -. Float32Array.get(im, b) *. wi
+          let ti = Float32Array.get(re, b) *. wi +. Float32Array.get(im, b) *. wr
+          Float32Array.set(re, b, Float32Array.get(re, a) -. tr)
+          Float32Array.set(im, b, Float32Array.get(im, a) -. ti)
+          Float32Array.set(re, a, Float32Array.get(re, a) +. tr)
+          Float32Array.set(im, a, Float32Array.get(im, a) +. ti)
+        }
+        start := start.contents + size.contents
+      }
+      size := Int.shiftLeft(size.contents, 1)
+      step := Int.shiftRightUnsigned(step.contents, 1)
+    }
+
+    if inverse {
+      let scale = Int.toFloat(n)
+      for i in 0 to n - 1 {
+        Float32Array.set(re, i, Float32Array.get(re, i) /. scale)
+        Float32Array.set(im, i, Float32Array.get(im, i) /. scale)
       }
+    }
+  }
 
-      // Update integrated loudness
-      n.integratedSum = n.integratedSum +. sumSquares.contents
-      n.sampleCount = n.sampleCount + len
+  let bandDb = (nr: t, b: int): float => {
+    10.0 *. Math.log10(Float32Array.get(nr.bandPower, b) +. 1e-12)
+  }
 
-      // Calculate gain adjustment
-      let integratedDb = if n.sampleCount > 0 {
-        let mean = n.integratedSum /. float_of_int(n.sampleCount)
-        if mean > 0.0 {
-          DSP.linearToDb(Js.Math.sqrt(mean))
-        } else {
-          -120.0
+  // Update the noise profile from one analysed frame
+  let learnFrame = (nr: t, totalPower: float): unit => {
+    // Digital silence (paused media) says nothing about the noise floor
+    if totalPower > 0.0 {
+      let floorDb = 10.0 *. Math.log10(totalPower)
+      switch nr.profile {
+      | None => {
+          let bands = Float32Array.make(bandCount)
+          for b in 0 to bandCount - 1 {
+            Float32Array.set(bands, b, bandDb(nr, b))
+          }
+          nr.profile = Some({floorDb, bands, frames: 1})
         }
-      } else {
-        -120.0
+      | Some(profile) => {
+          profile.floorDb = profile.floorDb +. updateRate *. (floorDb -. profile.floorDb)
+          for b in 0 to bandCount - 1 {
+            let current = Float32Array.get(profile.bands, b)
+            Float32Array.set(profile.bands, b, current +. updateRate *. (bandDb(nr, b) -. current))
+          }
+          profile.frames = profile.frames + 1
+        }
+      }
+    }
+  }
+
+  // Soft spectral gate: bands close to the learned floor are attenuated
+  let updateGains = (nr: t): unit => {
+    let threshold = reductionDb /. 2.0
+    for b in 0 to bandCount - 1 {
+      let target = switch nr.profile {
+      | Some(profile) if nr.enabled => {
+          let deficit = Float32Array.get(profile.bands, b) +. threshold -. bandDb(nr, b)
+          if deficit > 0.0 {
+            DSP.dbToLinear(-.Math.min(deficit, reductionDb))
+          } else {
+            1.0
+          }
+        }
+      | _ => 1.0
       }
+      let gain = Float32Array.get(nr.bandGains, b)
+      let coef = target < gain ? nr.attackCoef : nr.releaseCoef
+      Float32Array.set(nr.bandGains, b, gain +. coef *. (target -. gain))
+    }
+  }
+
+  let processFrame = (nr: t, channelCount: int): unit => {
+    let n = fftSize
+    Float32Array.fill(nr.bandPower, 0.0)
+    let totalPower = ref(0.0)
 
-      let gainDb = DSP.clamp(n.targetLufs -. integratedDb, n.minGainDb, n.maxGainDb)
-      let targetGain = DSP.dbToLinear(gainDb)
+    for ch in 0 to channelCount - 1 {
+      let c = Array.getUnsafe(nr.channels, ch)
+      for i in 0 to n - 1 {
+        Float32Array.set(c.re, i, Float32Array.get(c.input, i) *. Float32Array.get(nr.window, i))
+        Float32Array.set(c.im, i, 0.0)
+      }
+      fft(nr, c.re, c.im, false)
 
-      // Smooth gain changes
-      n.currentGain = n.currentGain +. n.gainSmooth *. (targetGain -. n.currentGain)
+      for k in 0 to bins {
+        let re = Float32Array.get(c.re, k)
+        let im = Float32Array.get(c.im, k)
+        let power = re *. re +. im *. im
+        let band = Int32Array.get(nr.binBand, k)
+        Float32Array.set(nr.bandPower, band, Float32Array.get(nr.bandPower, band) +. power)
+        totalPower := totalPower.contents +. power
+      }
+    }
 
-      // Apply gain
-      for i in 0 to len - 1 {
-        let sample = Float32Array.get(samples, i)
-        Float32Array.set(samples, i, sample *. n.currentGain)
+    // Mean power per bin, averaged over channels
+    let channelScale = Int.toFloat(channelCount)
+    for b in 0 to bandCount - 1 {
+      Float32Array.set(
+        nr.bandPower,
+        b,
+        Float32Array.get(nr.bandPower, b) /. (Float32Array.get(nr.bandBins, b) *. channelScale),
+      )
+    }
+    let totalPower = totalPower.contents /. (Int.toFloat(bins + 1) *. channelScale)
+
+    if nr.learning {
+      learnFrame(nr, totalPower)
+    }
+    updateGains(nr)
+
+    for ch in 0 to channelCount - 1 {
+      let c = Array.getUnsafe(nr.channels, ch)
+      for k in 0 to bins {
+        let g = Float32Array.get(nr.bandGains, Int32Array.get(nr.binBand, k))
+        Float32Array.set(c.re, k, Float32Array.get(c.re, k) *. g)
+        Float32Array.set(c.im, k, Float32Array.get(c.im, k) *. g)
+        // Keep the spectrum conjugate-symmetric
+        if k > 0 && k < bins {
+          Float32Array.set(c.re, n - k, Float32Array.get(c.re, k))
+          Float32Array.set(c.im, n - k, -.Float32Array.get(c.im, k))
+        }
+      }
+      fft(nr, c.re, c.im, true)
+
+      Float32Array.copyWithin(c.output, 0, hop)
+      Float32Array.fillFrom(c.output, 0.0, n - hop)
+      for i in 0 to n - 1 {
+        Float32Array.set(
+          c.output,
+          i,
+          Float32Array.get(c.output, i) +.
+          Float32Array.get(c.re, i) *. Float32Array.get(nr.window, i) *. nr.olaScale,
+        )
+      }
+      Float32Array.copyWithin(c.input, 0, hop)
+    }
+  }
+
+  let process = (nr: t, input: channels, output: channels): unit => {
+    let channelCount = Array.length(input)
+    let frames = Float32Array.length(Array.getUnsafe(input, 0))
+    let tail = fftSize - hop
+    ensureChannels(nr, channelCount)
+
+    for i in 0 to frames - 1 {
+      for ch in 0 to channelCount - 1 {
+        let c = Array.getUnsafe(nr.channels, ch)
+        Float32Array.set(c.input, tail + nr.hopPos, Float32Array.get(Array.getUnsafe(input, ch), i))
+        Float32Array.set(Array.getUnsafe(output, ch), i, Float32Array.get(c.output, nr.hopPos))
+      }
+      nr.hopPos = nr.hopPos + 1
+      if nr.hopPos == hop {
+        processFrame(nr, channelCount)
+        nr.hopPos = 0
       }
     }
   }
 }
 
-// Compressor
-module Compressor = {
+// ITU-R BS.1770-4 loudness meter: K-weighting, channel weighting,
+// 400 ms momentary / 3 s short-term windows and gated integration.
+module LoudnessMeter = {
+  let momentaryBlocks = 4
+  let shortTermBlocks = 30
+  let absoluteGate = -70.0
+  let relativeGate = -10.0
+
+  // Histogram of gated block energies, 0.1 LU bins from -70 to +10 LUFS
+  let histogramMin = absoluteGate
+  let histogramBins = 800
+
+  type coefficients = {
+    b0: float,
+    b1: float,
+    b2: float,
+    a1: float,
+    a2: float,
+  }
+
   type t = {
-    mutable enabled: bool,
-    mutable thresholdDb: float,
-    mutable ratio: float,
-    mutable kneeDb: float,
-    mutable makeupGainDb: float,
-    mutable envelope: float,
-    attackCoef: float,
-    releaseCoef: float,
+    subBlockSize: int,
+    shelf: coefficients,
+    highPass: coefficients,
+    histogramEnergy: Float64Array.t,
+    histogramCount: Float64Array.t,
+    // Per channel: [shelf x1, x2, y1, y2, high-pass x1, x2, y1, y2]
+    channels: array<Float64Array.t>,
+    subBlocks: Float64Array.t,
+    mutable subBlockSum: float,
+    mutable subBlockFrames: int,
+    mutable subBlockIndex: int,
+    mutable subBlockCount: int,
+    mutable gatedEnergy: float,
+    mutable gatedCount: int,
+    // Sliding-window integration: the last windowBlocks gating blocks, or
+    // the whole programme when 0
+    mutable windowBlocks: int,
+    mutable windowEnergies: Float64Array.t,
+    mutable windowIndex: int,
+    mutable windowCount: int,
+    mutable momentary: float,
+    mutable shortTerm: float,
   }
 
   let make = (sampleRate: float): t => {
-    enabled: true,
-    thresholdDb: -18.0,
-    ratio: 4.0,
-    kneeDb: 4.0,
-    makeupGainDb: 4.0,
-    envelope: 0.0,
-    attackCoef: DSP.smoothCoefficient(10.0, sampleRate),
-    releaseCoef: DSP.smoothCoefficient(150.0, sampleRate),
+    // Stage 1: high-shelf pre-filter (head effects)
+    let f0 = 1681.974450955533
+    let q = 0.7071752369554196
+    let k = Math.tan(Math.Constants.pi *. f0 /. sampleRate)
+    let vh = DSP.dbToLinear(3.999843853973347)
+    let vb = Math.pow(vh, ~exp=0.4996667741545416)
+    let a0 = 1.0 +. k /. q +. k *. k
+    let shelf = {
+      b0: (vh +. vb *. k /. q +. k *. k) /. a0,
+      b1: 2.0 *. (k *. k -. vh) /. a0,
+      b2: (vh -. vb *. k /. q +. k *. k) /. a0,
+      a1: 2.0 *. (k *. k -. 1.0) /. a0,
+      a2: (1.0 -. k /. q +. k *. k) /. a0,
+    }
+
+    // Stage 2: RLB high-pass
+    let f0 = 38.13547087602444
+    let q = 0.5003270373238773
+    let k = Math.tan(Math.Constants.pi *. f0 /. sampleRate)
+    let a0 = 1.0 +. k /. q +. k *. k
+    let highPass = {
+      b0: 1.0,
+      b1: -2.0,
+      b2: 1.0,
+      a1: 2.0 *. (k *. k -. 1.0) /. a0,
+      a2: (1.0 -. k /. q +. k *. k) /. a0,
+    }
+
+    {
+      subBlockSize: Float.toInt(Math.round(sampleRate *. 0.1)),
+      shelf,
+      highPass,
+      histogramEnergy: Float64Array.make(histogramBins),
+      histogramCount: Float64Array.make(histogramBins),
+      channels: [],
+      subBlocks: Float64Array.make(shortTermBlocks),
+      subBlockSum: 0.0,
+      subBlockFrames: 0,
+      subBlockIndex: 0,
+      subBlockCount: 0,
+      gatedEnergy: 0.0,
+      gatedCount: 0,
+      windowBlocks: 0,
+      windowEnergies: Float64Array.make(0),
+      windowIndex: 0,
+      windowCount: 0,
+      momentary: -.infinity,
+      shortTerm: -.infinity,
+    }
   }
 
-  let computeGain = (c: t, inputDb: float): float => {
-    if inputDb < c.thresholdDb -. c.kneeDb /. 2.0 {
+  // Start the momentary and short-term windows afresh, e.g. after a seek,
+  // so they don't straddle two parts of the programme
+  let restartWindow = (m: t): unit => {
+    m.subBlockSum = 0.0
+    m.subBlockFrames = 0
+    Float64Array.fill(m.subBlocks, 0.0)
+    m.subBlockIndex = 0
+    m.subBlockCount = 0
+    m.momentary = -.infinity
+    m.shortTerm = -.infinity
+  }
+
+  // Forget the integrated loudness, e.g. for a new track
+  let resetIntegration = (m: t): unit => {
+    Float64Array.fill(m.histogramEnergy, 0.0)
+    Float64Array.fill(m.histogramCount, 0.0)
+    m.gatedEnergy = 0.0
+    m.gatedCount = 0
+    m.windowIndex = 0
+    m.windowCount = 0
+  }
+
+  let reset = (m: t): unit => {
+    Array.forEach(m.channels, filters => Float64Array.fill(filters, 0.0))
+    restartWindow(m)
+    resetIntegration(m)
+  }
+
+  // Integrate over the last `seconds` only (live streams, which never end),
+  // or over everything since the last reset with 0. Starts integration over.
+  let setWindow = (m: t, seconds: float): unit => {
+    // One gating block completes every 100 ms
+    m.windowBlocks = seconds > 0.0 ? Float.toInt(Math.round(seconds *. 10.0)) : 0
+    m.windowEnergies = Float64Array.make(m.windowBlocks)
+    resetIntegration(m)
+  }
+
+  // Surround channels are weighted +1.5 dB and LFE is ignored (5.1 order)
+  let channelWeight = (ch: int, count: int): float => {
+    if count != 6 {
+      1.0
+    } else if ch == 3 {
       0.0
-    } else if inputDb > c.thresholdDb +. c.kneeDb /. 2.0 {
-      (c.thresholdDb +. (inputDb -. c.thresholdDb) /. c.ratio) -. inputDb
+    } else if ch >= 4 {
+      1.41
     } else {
-      let kneeStart = c.thresholdDb -. c.kneeDb /. 2.0
-      let x = inputDb -. kneeStart
-      (1.0 /. c.ratio -. 1.0) *. x *. x /. (2.0 *. c.kneeDb)
+      1.0
     }
   }
 
-  let process = (c: t, samples: Float32Array.t): unit => {
-    if !c.enabled {
-      ()
-    } else {
-      let len = Float32Array.length(samples)
-      let makeupLinear = DSP.dbToLinear(c.makeupGainDb)
+  let ensureChannels = (m: t, count: int): unit => {
+    while Array.length(m.channels) < count {
+      Array.push(m.channels, Float64Array.make(8))
+    }
+  }
 
-      for i in 0 to len - 1 {
-        let sample = Float32Array.get(samples, i)
-        let inputDb = DSP.linearToDb(Js.Math.abs_float(sample))
+  let weighted = (f: coefficients, s: Float64Array.t, x: float, offset: int): float => {
+    let y =
+      f.b0 *. x +.
+      f.b1 *. Float64Array.get(s, offset) +.
+      f.b2 *. Float64Array.get(s, offset + 1) -.
+      f.a1 *. Float64Array.get(s, offset + 2) -.
+      f.a2 *. Float64Array.get(s, offset + 3)
+    Float64Array.set(s, offset + 1, Float64Array.get(s, offset))
+    Float64Array.set(s, offset, x)
+    Float64Array.set(s, offset + 3, Float64Array.get(s, offset + 2))
+    Float64Array.set(s, offset + 2, y)
+    y
+  }
 
-        // Envelope follower
-        if inputDb > c.envelope {
-          c.envelope = c.envelope +. c.attackCoef *. (inputDb -. c.envelope)
-        } else {
-          c.envelope = c.envelope +. c.releaseCoef *. (inputDb -. c.envelope)
+  let toLufs = (energy: float): float => {
+    energy > 0.0 ? -0.691 +. 10.0 *. Math.log10(energy) : -.infinity
+  }
+
+  let windowEnergy = (m: t, blocks: int): float => {
+    let sum = ref(0.0)
+    for i in 1 to blocks {
+      let idx = m.subBlockIndex - i
+      let idx = idx < 0 ? idx + shortTermBlocks : idx
+      sum := sum.contents +. Float64Array.get(m.subBlocks, idx)
+    }
+    sum.contents /. Int.toFloat(blocks)
+  }
+
+  // Add a gating block to the histogram (count 1) or take it out again (-1)
+  let countGatingBlock = (m: t, energy: float, count: int): unit => {
+    let lufs = toLufs(energy)
+    if lufs >= absoluteGate {
+      let bin = Math.Int.min(
+        histogramBins - 1,
+        Float.toInt(Math.floor((lufs -. histogramMin) *. 10.0)),
+      )
+      let weight = Int.toFloat(count)
+      Float64Array.set(m.histogramEnergy, bin, Float64Array.get(m.histogramEnergy, bin) +. weight *. energy)
+      Float64Array.set(m.histogramCount, bin, Float64Array.get(m.histogramCount, bin) +. weight)
+      m.gatedEnergy = m.gatedEnergy +. weight *. energy
+      m.gatedCount = m.gatedCount + count
+    }
+  }
+
+  let addGatingBlock = (m: t, energy: float): unit => {
+    if m.windowBlocks > 0 {
+      // The oldest block in a full window drops out as this one comes in
+      if m.windowCount == m.windowBlocks {
+        countGatingBlock(m, Float64Array.get(m.windowEnergies, m.windowIndex), -1)
+      } else {
+        m.windowCount = m.windowCount + 1
+      }
+      Float64Array.set(m.windowEnergies, m.windowIndex, energy)
+      m.windowIndex = (m.windowIndex + 1 == m.windowBlocks ? 0 : m.windowIndex + 1)
+    }
+    countGatingBlock(m, energy, 1)
+  }
+
+  let endSubBlock = (m: t): unit => {
+    Float64Array.set(m.subBlocks, m.subBlockIndex, m.subBlockSum /. Int.toFloat(m.subBlockFrames))
+    m.subBlockIndex = (m.subBlockIndex + 1 == shortTermBlocks ? 0 : m.subBlockIndex + 1)
+    m.subBlockCount = m.subBlockCount + 1
+    m.subBlockSum = 0.0
+    m.subBlockFrames = 0
+
+    // 400 ms gating blocks overlap by 75%, so one completes every 100 ms
+    if m.subBlockCount >= momentaryBlocks {
+      let energy = windowEnergy(m, momentaryBlocks)
+      m.momentary = toLufs(energy)
+      addGatingBlock(m, energy)
+    }
+    if m.subBlockCount >= shortTermBlocks {
+      m.shortTerm = toLufs(windowEnergy(m, shortTermBlocks))
+    }
+  }
+
+  let process = (m: t, input: channels): unit => {
+    let count = Array.length(input)
+    let frames = Float32Array.length(Array.getUnsafe(input, 0))
+    ensureChannels(m, count)
+
+    for i in 0 to frames - 1 {
+      let energy = ref(0.0)
+      for ch in 0 to count - 1 {
+        let weight = channelWeight(ch, count)
+        if weight != 0.0 {
+          let s = Array.getUnsafe(m.channels, ch)
+          let x = Float32Array.get(Array.getUnsafe(input, ch), i)
+          let y = weighted(m.highPass, s, weighted(m.shelf, s, x, 0), 4)
+          energy := energy.contents +. weight *. y *. y
         }
+      }
+      m.subBlockSum = m.subBlockSum +. energy.contents
+      m.subBlockFrames = m.subBlockFrames + 1
+      if m.subBlockFrames == m.subBlockSize {
+        endSubBlock(m)
+      }
+    }
+  }
 
-        // Calculate and apply gain
-        let grDb = computeGain(c, c.envelope)
-        let gain = DSP.dbToLinear(grDb) *. makeupLinear
-        Float32Array.set(samples, i, sample *. gain)
+  // Gated integrated loudness (LUFS), -Infinity until a block passes the gate
+  let integrated = (m: t): float => {
+    if m.gatedCount == 0 {
+      -.infinity
+    } else {
+      let threshold = toLufs(m.gatedEnergy /. Int.toFloat(m.gatedCount)) +. relativeGate
+      let firstBin = Math.Int.max(0, Float.toInt(Math.ceil((threshold -. histogramMin) *. 10.0)))
+      let energy = ref(0.0)
+      let count = ref(0.0)
+      for bin in firstBin to histogramBins - 1 {
+        energy := energy.contents +. Float64Array.get(m.histogramEnergy, bin)
+        count := count.contents +. Float64Array.get(m.histogramCount, bin)
       }
+      count.contents > 0.0 ? toLufs(energy.contents /. count.contents) : -.infinity
     }
   }
 }
 
-// Limiter
-module Limiter = {
+// Loudness-jump guard. The integrated loudness the normalizer steers by takes
+// minutes to notice a change, so an advert after a quiet programme would
+// blast straight through. Each 400 ms momentary reading is compared with a
+// baseline that follows the short-term loudness over about ten seconds; a
+// reading more than thresholdDb above it is a jump, and the guard cuts the
+// gain back to the baseline within a gating block or two. If the louder level
+// persists the baseline creeps up to it, so the guard eases off and leaves
+// the normalizer in charge again.
+module JumpGuard = {
+  let baselineSeconds = 10.0
+  let handoffSeconds = 20.0
+  // A jump is over once it is back within this of the baseline
+  let settledDb = 1.0
+  let gapDb = 20.0
+  let maxCutDb = 24.0
+  let attackMs = 20.0
+  let releaseMs = 500.0
+  // Gating blocks complete every 100 ms
+  let blockSeconds = 0.1
+
   type t = {
     mutable enabled: bool,
-    mutable ceilingDb: float,
-    mutable envelope: float,
+    mutable thresholdDb: float,
+    mutable baselineLufs: float,
+    mutable active: bool,
+    // Cut the guard is heading for (dB, <= 0) and the gain it is applying
+    mutable cutDb: float,
+    mutable gain: float,
+    // Jumps caught since the caller last cleared it
+    mutable jumps: int,
+    attackCoef: float,
     releaseCoef: float,
   }
 
   let make = (sampleRate: float): t => {
     enabled: true,
-    ceilingDb: -0.5,
-    envelope: 1.0,
-    releaseCoef: DSP.smoothCoefficient(50.0, sampleRate),
+    thresholdDb: 10.0,
+    baselineLufs: -.infinity,
+    active: false,
+    cutDb: 0.0,
+    gain: 1.0,
+    jumps: 0,
+    attackCoef: DSP.smoothCoefficient(attackMs, sampleRate),
+    releaseCoef: DSP.smoothCoefficient(releaseMs, sampleRate),
   }
 
-  let process = (l: t, samples: Float32Array.t): unit => {
-    if !l.enabled {
-      ()
-    } else {
-      let len = Float32Array.length(samples)
-      let ceilingLinear = DSP.dbToLinear(l.ceilingDb)
+  let setEnabled = (g: t, enabled: bool): unit => {
+    g.enabled = enabled
+    if !enabled {
+      g.active = false
+      g.cutDb = 0.0
+    }
+  }
 
-      for i in 0 to len - 1 {
-        let sample = Float32Array.get(samples, i)
-        let peak = Js.Math.abs_float(sample)
+  // One gating block's readings, after the normalizer's steady gain. The
+  // caller skips silence; gaps far below the baseline are skipped here, so
+  // a pause doesn't make whatever follows it look like a jump.
+  let update = (g: t, momentary: float, shortTerm: float): unit => {
+    if g.enabled && momentary > g.baselineLufs -. gapDb {
+      if g.baselineLufs == -.infinity {
+        g.baselineLufs = shortTerm
+      } else {
+        let excess = momentary -. g.baselineLufs
+        if !g.active && excess > g.thresholdDb {
+          g.active = true
+          g.jumps = g.jumps + 1
+        }
+        if g.active && excess < settledDb {
+          g.active = false
+        }
 
-        if peak > ceilingLinear {
-          let targetAtten = ceilingLinear /. peak
-          if targetAtten < l.envelope {
-            l.envelope = targetAtten
-          } else {
-            l.envelope = l.envelope +. l.releaseCoef *. (1.0 -. l.envelope)
-          }
+        if g.active {
+          g.cutDb = -.Math.min(excess, maxCutDb)
+          let rate = 1.0 -. Math.exp(-.blockSeconds /. handoffSeconds)
+          g.baselineLufs = g.baselineLufs +. rate *. (momentary -. g.baselineLufs)
         } else {
-          l.envelope = l.envelope +. l.releaseCoef *. (1.0 -. l.envelope)
+          g.cutDb = 0.0
+          let rate = 1.0 -. Math.exp(-.blockSeconds /. baselineSeconds)
+          g.baselineLufs = g.baselineLufs +. rate *. (shortTerm -. g.baselineLufs)
         }
-
-        Float32Array.set(samples, i, sample *. l.envelope)
       }
     }
   }
+
+  // Move the gain towards the cut over a block: down fast, back up gently
+  let step = (g: t, frames: int): unit => {
+    let target = DSP.dbToLinear(g.cutDb)
+    if g.gain != target {
+      let coef = target < g.gain ? g.attackCoef : g.releaseCoef
+      let blockSmooth = 1.0 -. Math.pow(1.0 -. coef, ~exp=Int.toFloat(frames))
+      let gain = g.gain +. blockSmooth *. (target -. g.gain)
+      // Land exactly, so a guard at rest leaves the normalizer's gain untouched
+      g.gain = Math.abs(target -. gain) < 0.00001 ? target : gain
+    }
+  }
 }
 
-// Main VoluMod Processor
-module VoluModProcessor = {
+// Normalizer: gain towards the target from the gated integrated loudness,
+// with JumpGuard's cut on top
+module Normalizer = {
   type t = {
-    mutable bypass: bool,
-    normalizer: Normalizer.t,
-    compressor: Compressor.t,
-    limiter: Limiter.t,
-    mutable inputLevel: float,
-    mutable outputLevel: float,
+    mutable enabled: bool,
+    mutable targetLufs: float,
+    mutable maxGainDb: float,
+    mutable minGainDb: float,
+    // The gain applied: the steady gain times the guard's
+    mutable currentGain: float,
+    mutable steadyGain: float,
+    guard: JumpGuard.t,
+    meter: LoudnessMeter.t,
+    // Last reading of the meter, for reporting
+    mutable integratedLufs: float,
+    // Loudness remembered from an earlier play of the track, or -Infinity
+    mutable seedLufs: float,
+    gainSmooth: float,
   }
 
+  // How many gating blocks (5 s) the remembered loudness counts for when
+  // it is averaged with the meter's reading. Once the meter has measured
+  // that much, a reading further than seedToleranceLu away means the memory
+  // is of something else (another track at the same URL, a re-encode), and
+  // it is dropped.
+  let seedWeight = 50.0
+  let seedToleranceLu = 4.0
+  // Remembered loudness outside this range is corrupt and ignored
+  let seedMinLufs = -70.0
+  let seedMaxLufs = 0.0
+
   let make = (sampleRate: float): t => {
-    bypass: false,
-    normalizer: Normalizer.make(sampleRate),
-    compressor: Compressor.make(sampleRate),
-    limiter: Limiter.make(sampleRate),
-    inputLevel: -120.0,
-    outputLevel: -120.0,
+    enabled: true,
+    targetLufs: -14.0, // Streaming standard
+    maxGainDb: 12.0,
+    minGainDb: -24.0,
+    currentGain: 1.0,
+    steadyGain: 1.0,
+    guard: JumpGuard.make(sampleRate),
+    meter: LoudnessMeter.make(sampleRate),
+    integratedLufs: -.infinity,
+    seedLufs: -.infinity,
+    gainSmooth: DSP.smoothCoefficient(100.0, sampleRate),
   }
 
-  let process = (p: t, samples: Float32Array.t): unit => {
-    if p.bypass {
-      ()
+  // The loudness to steer by: the meter's, pulled towards the remembered
+  // loudness until the meter has heard enough of the track to stand alone
+  let steeringLoudness = (n: t, measured: float): float => {
+    if n.seedLufs == -.infinity {
+      measured
+    } else if measured == -.infinity {
+      n.seedLufs
     } else {
-      // Measure input
-      let len = Float32Array.length(samples)
-      let inputSum = ref(0.0)
-      for i in 0 to len - 1 {
-        let s = Float32Array.get(samples, i)
-        inputSum := inputSum.contents +. s *. s
-      }
-      p.inputLevel = DSP.linearToDb(Js.Math.sqrt(inputSum.contents /. float_of_int(len)))
-
-      // Process chain
-      Normalizer.process(p.normalizer, samples)
-      Compressor.process(p.compressor, samples)
-      Limiter.process(p.limiter, samples)
+      let count = Int.toFloat(n.meter.gatedCount)
+      (seedWeight *. n.seedLufs +. count *. measured) /. (seedWeight +. count)
+    }
+  }
 
-      // Measure output
-      let outputSum = ref(0.0)
-      for i in 0 to len - 1 {
-        let s = Float32Array.get(samples, i)
-        outputSum := outputSum.contents +. s *. s
+  // Measure one block and move the gain towards the target by as much as
+  // per-sample smoothing would have over that block. The caller ramps from the
+  // previous gain to the new one to avoid zipper noise.
+  let update = (n: t, input: channels, frames: int): unit => {
+    if n.enabled {
+      let blocks = n.meter.subBlockCount
+      LoudnessMeter.process(n.meter, input)
+      // The guard watches the level after the steady gain, so it lets go as
+      // the normalizer catches up
+      let audible = n.meter.momentary > LoudnessMeter.absoluteGate && n.meter.shortTerm > LoudnessMeter.absoluteGate
+      if n.meter.subBlockCount != blocks && audible {
+        let steadyDb = DSP.linearToDb(n.steadyGain)
+        JumpGuard.update(n.guard, n.meter.momentary +. steadyDb, n.meter.shortTerm +. steadyDb)
+      }
+      n.integratedLufs = LoudnessMeter.integrated(n.meter)
+      if (
+        n.seedLufs > -.infinity &&
+        Int.toFloat(n.meter.gatedCount) >= seedWeight &&
+        Math.abs(n.integratedLufs -. n.seedLufs) > seedToleranceLu
+      ) {
+        n.seedLufs = -.infinity
       }
-      p.outputLevel = DSP.linearToDb(Js.Math.sqrt(outputSum.contents /. float_of_int(len)))
+      let integrated = steeringLoudness(n, n.integratedLufs)
+      if integrated > -.infinity {
+        let gainDb = DSP.clamp(n.targetLufs -. integrated, n.minGainDb, n.maxGainDb)
+        let blockSmooth = 1.0 -. Math.pow(1.0 -. n.gainSmooth, ~exp=Int.toFloat(frames))
+        n.steadyGain = n.steadyGain +. blockSmooth *. (DSP.dbToLinear(gainDb) -. n.steadyGain)
+      }
+      JumpGuard.step(n.guard, frames)
+      n.currentGain = n.steadyGain *. n.guard.gain
     }
   }
 
-  let setBypass = (p: t, bypass: bool): unit => {
-    p.bypass = bypass
+  // A new track: measure it from scratch, holding the current gain until the
+  // first gating block lands. The guard keeps its baseline, so an advert that
+  // arrives as a new source is still caught.
+  let resetTrack = (n: t): unit => {
+    LoudnessMeter.restartWindow(n.meter)
+    LoudnessMeter.resetIntegration(n.meter)
+    n.integratedLufs = -.infinity
+    n.seedLufs = -.infinity
   }
 
-  let setTargetLoudness = (p: t, lufs: float): unit => {
-    p.normalizer.targetLufs = lufs
+  // Jump straight to the gain for a track's remembered loudness instead of
+  // converging on it over the first seconds. NaN fails both comparisons.
+  let seed = (n: t, lufs: float): unit => {
+    if lufs >= seedMinLufs && lufs <= seedMaxLufs {
+      n.seedLufs = lufs
+      n.steadyGain = DSP.dbToLinear(DSP.clamp(n.targetLufs -. lufs, n.minGainDb, n.maxGainDb))
+    }
   }
 }
+
+// Compressor
+module Compressor = {
+  type t = {
+    mutable enabled: bool,
+    mutable thresholdDb: float,
+    mutable ratio: float,
+    mutable kneeDb: float,
+    mutable makeupGainDb: float,
+    mutable envelope: float,
+    mutable attackCoef: float,
+    mutable releaseCoef: float,
+    // Deepest gain reduction (positive dB) since the caller last cleared it
+    mutable peakReductionDb: float,
+    sampleRate: float,
+  }
+
+  let make = (sampleRate: float): t => {
+    enabled: true,
+    thresholdDb: -18.0,
+    ratio: 4.0,
+    kneeDb: 4.0,
+    makeupGainDb: 4.0,
+    envelope: -120.0,
+    attackCoef: DSP.smoothCoefficient(10.0, sampleRate),
+    releaseCoef: DSP.smoothCoefficient(150.0, sampleRate),
+    peakReductionDb: 0.0,
+    sampleRate,
+  }
+
+  let setAttack = (c: t, attackMs: float): unit => {
+    c.attackCoef = DSP.smoothCoefficient(attackMs, c.sampleRate)
+  }
+
+  let setRelease = (c: t, releaseMs: float): unit => {
+    c.releaseCoef = DSP.smoothCoefficient(releaseMs, c.sampleRate)
+  }
+
+  let computeGain = (c: t, inputDb: float): float => {
+    if inputDb < c.thresholdDb -. c.kneeDb /. 2.0 {
+      0.0
+    } else if inputDb > c.thresholdDb +. c.kneeDb /. 2.0 {
+      (c.thresholdDb +. (inputDb -. c.thresholdDb) /. c.ratio) -. inputDb
+    } else {
+      let kneeStart = c.thresholdDb -. c.kneeDb /. 2.0
+      let x = inputDb -. kneeStart
+      (1.0 /. c.ratio -. 1.0) *. x *. x /. (2.0 *. c.kneeDb)
+    }
+  }
+
+  // Follow a detector level (linear, non-negative) and return the linear gain
+  // to apply, makeup included. Callers decide what the level is, so several
+  // channels can share one envelope and one gain.
+  let gain = (c: t, level: float): float => {
+    let inputDb = DSP.linearToDb(level)
+
+    // Envelope follower
+    if inputDb > c.envelope {
+      c.envelope = c.envelope +. c.attackCoef *. (inputDb -. c.envelope)
+    } else {
+      c.envelope = c.envelope +. c.releaseCoef *. (inputDb -. c.envelope)
+    }
+
+    let grDb = computeGain(c, c.envelope)
+    if -.grDb > c.peakReductionDb {
+      c.peakReductionDb = -.grDb
+    }
+    DSP.dbToLinear(grDb +. c.makeupGainDb)
+  }
+
+  let processSample = (c: t, sample: float): float => {
+    sample *. gain(c, Math.abs(sample))
+  }
+
+  let process = (c: t, samples: Float32Array.t): unit => {
+    if c.enabled {
+      for i in 0 to Float32Array.length(samples) - 1 {
+        Float32Array.set(samples, i, processSample(c, Float32Array.get(samples, i)))
+      }
+    }
+  }
+}
+
+// Three-way Linkwitz-Riley crossover: 4th-order (two cascaded Butterworth
+// sections per filter) at a low and a high split. The low band also runs
+// through an allpass at the high split, matching the phase the mid and high
+// bands pick up there, so the three bands sum back to a flat response.
+module Crossover = {
+  let bandCount = 3
+  let butterworthQ = 0.7071067811865476
+
+  // Section offsets into each channel's filters, two sections per filter
+  let lowSplitLowPass = 0
+  let lowSplitHighPass = 2
+  let highSplitLowPass = 4
+  let highSplitHighPass = 6
+  let allpassLowPass = 8
+  let allpassHighPass = 10
+  let sections = 12
+
+  type t = {
+    sampleRate: float,
+    mutable lowHz: float,
+    mutable highHz: float,
+    channels: array<array<BiquadFilter.t>>,
+    // Latest split, bandCount values per channel
+    mutable bands: Float64Array.t,
+  }
+
+  let configureChannel = (x: t, filters: array<BiquadFilter.t>): unit => {
+    let pair = (start, filterType, freq) => {
+      for i in start to start + 1 {
+        BiquadFilter.configure(
+          Array.getUnsafe(filters, i),
+          filterType,
+          freq,
+          x.sampleRate,
+          butterworthQ,
+          0.0,
+        )
+      }
+    }
+    pair(lowSplitLowPass, BiquadFilter.LowPass, x.lowHz)
+    pair(lowSplitHighPass, BiquadFilter.HighPass, x.lowHz)
+    pair(highSplitLowPass, BiquadFilter.LowPass, x.highHz)
+    pair(highSplitHighPass, BiquadFilter.HighPass, x.highHz)
+    pair(allpassLowPass, BiquadFilter.LowPass, x.highHz)
+    pair(allpassHighPass, BiquadFilter.HighPass, x.highHz)
+  }
+
+  let make = (sampleRate: float): t => {
+    sampleRate,
+    lowHz: 200.0,
+    highHz: 2500.0,
+    channels: [],
+    bands: Float64Array.make(0),
+  }
+
+  let setFrequencies = (x: t, lowHz: float, highHz: float): unit => {
+    x.lowHz = lowHz
+    x.highHz = highHz
+    Array.forEach(x.channels, filters => configureChannel(x, filters))
+  }
+
+  let ensureChannels = (x: t, count: int): unit => {
+    if Array.length(x.channels) < count {
+      while Array.length(x.channels) < count {
+        let filters: array<BiquadFilter.t> = []
+        for _ in 1 to sections {
+          Array.push(filters, BiquadFilter.make())
+        }
+        configureChannel(x, filters)
+        Array.push(x.channels, filters)
+      }
+      x.bands = Float64Array.make(count * bandCount)
+    }
+  }
+
+  // Split one sample of a channel into x.bands: low, mid, high
+  let split = (x: t, ch: int, input: float): unit => {
+    let filters = Array.getUnsafe(x.channels, ch)
+    let pair = (start, value) =>
+      BiquadFilter.process(
+        Array.getUnsafe(filters, start + 1),
+        BiquadFilter.process(Array.getUnsafe(filters, start), value),
+      )
+    let low = pair(lowSplitLowPass, input)
+    let rest = pair(lowSplitHighPass, input)
+    let offset = ch * bandCount
+    Float64Array.set(x.bands, offset, pair(allpassLowPass, low) +. pair(allpassHighPass, low))
+    Float64Array.set(x.bands, offset + 1, pair(highSplitLowPass, rest))
+    Float64Array.set(x.bands, offset + 2, pair(highSplitHighPass, rest))
+  }
+}
+
+// Multiband compressor: the crossover's low, mid and high bands each get
+// their own compressor, so rumble can be held down without pulling dialogue
+// down with it. Detection is linked across channels within each band.
+module Multiband = {
+  type bandSettings = {
+    thresholdDb: float,
+    ratio: float,
+    attackMs: float,
+    releaseMs: float,
+  }
+
+  type t = {
+    mutable enabled: bool,
+    crossover: Crossover.t,
+    compressors: array<Compressor.t>,
+    gains: Float64Array.t,
+  }
+
+  let make = (sampleRate: float): t => {
+    enabled: false,
+    crossover: Crossover.make(sampleRate),
+    // Low, mid, high
+    compressors: [
+      Compressor.make(sampleRate),
+      Compressor.make(sampleRate),
+      Compressor.make(sampleRate),
+    ],
+    gains: Float64Array.make(Crossover.bandCount),
+  }
+
+  // Settings for the low, mid and high bands in order; extra entries are ignored
+  let setBands = (m: t, bands: array<bandSettings>): unit => {
+    Array.forEachWithIndex(bands, (band, i) => {
+      if i < Crossover.bandCount {
+        let c = Array.getUnsafe(m.compressors, i)
+        c.thresholdDb = band.thresholdDb
+        c.ratio = band.ratio
+        Compressor.setAttack(c, band.attackMs)
+        Compressor.setRelease(c, band.releaseMs)
+      }
+    })
+  }
+
+  let peakReductionDb = (m: t): float => {
+    let peak = ref(0.0)
+    Array.forEach(m.compressors, c => peak := Math.max(peak.contents, c.peakReductionDb))
+    peak.contents
+  }
+
+  let clearPeakReduction = (m: t): unit => {
+    Array.forEach(m.compressors, c => c.peakReductionDb = 0.0)
+  }
+
+  // As VoluModProcessor.compress, band by band
+  let process = (
+    m: t,
+    source: channels,
+    output: channels,
+    startGain: float,
+    gainStep: float,
+    linkSum: bool,
+  ): unit => {
+    let count = Array.length(source)
+    let frames = Float32Array.length(Array.getUnsafe(source, 0))
+    let x = m.crossover
+    Crossover.ensureChannels(x, count)
+
+    for i in 0 to frames - 1 {
+      let g = startGain +. gainStep *. Int.toFloat(i + 1)
+      for ch in 0 to count - 1 {
+        Crossover.split(x, ch, Float32Array.get(Array.getUnsafe(source, ch), i) *. g)
+      }
+
+      for band in 0 to Crossover.bandCount - 1 {
+        let level = ref(0.0)
+        for ch in 0 to count - 1 {
+          let v = Float64Array.get(x.bands, ch * Crossover.bandCount + band)
+          if linkSum {
+            level := level.contents +. v *. v
+          } else if Math.abs(v) > level.contents {
+            level := Math.abs(v)
+          }
+        }
+        let level = linkSum ? Math.sqrt(level.contents) : level.contents
+        Float64Array.set(m.gains, band, Compressor.gain(Array.getUnsafe(m.compressors, band), level))
+      }
+
+      for ch in 0 to count - 1 {
+        let offset = ch * Crossover.bandCount
+        let sum = ref(0.0)
+        for band in 0 to Crossover.bandCount - 1 {
+          sum := sum.contents +. Float64Array.get(x.bands, offset + band) *. Float64Array.get(m.gains, band)
+        }
+        Float32Array.set(Array.getUnsafe(output, ch), i, sum.contents)
+      }
+    }
+  }
+}
+
+// Voice activity detector: speech puts most of its energy in the 300 Hz to
+// 3.4 kHz telephone band, so it counts as speech while that band carries at
+// least half the signal's power above a noise floor. A short hangover keeps
+// it from dropping out between words.
+module VoiceDetector = {
+  let lowHz = 300.0
+  let highHz = 3400.0
+  let bandShare = 0.5
+  // -50 dBFS, as power
+  let floorPower = 0.00001
+  let smoothingMs = 20.0
+  let hangoverMs = 250.0
+
+  type t = {
+    highPass: BiquadFilter.t,
+    lowPass: BiquadFilter.t,
+    smoothCoef: float,
+    hangover: int,
+    mutable bandPower: float,
+    mutable totalPower: float,
+    mutable held: int,
+  }
+
+  let make = (sampleRate: float): t => {
+    let highPass = BiquadFilter.make()
+    let lowPass = BiquadFilter.make()
+    BiquadFilter.configure(highPass, BiquadFilter.HighPass, lowHz, sampleRate, 0.7071067811865476, 0.0)
+    BiquadFilter.configure(lowPass, BiquadFilter.LowPass, highHz, sampleRate, 0.7071067811865476, 0.0)
+    {
+      highPass,
+      lowPass,
+      smoothCoef: DSP.smoothCoefficient(smoothingMs, sampleRate),
+      hangover: Float.toInt(hangoverMs *. sampleRate /. 1000.0),
+      bandPower: 0.0,
+      totalPower: 0.0,
+      held: 0,
+    }
+  }
+
+  // Feed one sample; true while speech is (or was just) present
+  let process = (v: t, sample: float): bool => {
+    let band = BiquadFilter.process(v.lowPass, BiquadFilter.process(v.highPass, sample))
+    v.bandPower = v.bandPower +. v.smoothCoef *. (band *. band -. v.bandPower)
+    v.totalPower = v.totalPower +. v.smoothCoef *. (sample *. sample -. v.totalPower)
+    if v.bandPower > floorPower && v.bandPower >= bandShare *. v.totalPower {
+      v.held = v.hangover
+    } else if v.held > 0 {
+      v.held = v.held - 1
+    }
+    v.held > 0
+  }
+}
+
+// Dialogue enhancer, a toggle on top of any preset. Film and TV mixes put
+// dialogue in the centre: the mid of a stereo pair, or the C channel of 5.1.
+// That gets a lift and a presence boost around 1-4 kHz, and while the voice
+// detector hears speech there the other channels (LFE aside) duck under it.
+// Other layouts have no centre to pull out, so each channel gets the
+// presence boost alone.
+module DialogueEnhancer = {
+  let centreGainDb = 2.0
+  let presenceHz = 2000.0
+  // About two octaves wide, 1 kHz to 4 kHz
+  let presenceQ = 0.7
+  let presenceGainDb = 4.0
+  let duckDb = -6.0
+  let duckAttackMs = 20.0
+  let duckReleaseMs = 400.0
+  // 5.1 in Web Audio order: L, R, C, LFE, SL, SR
+  let surroundChannels = 6
+  let centreChannel = 2
+  let lfeChannel = 3
+  // Stereo only ducks when the mid outweighs the sides by this much (power),
+  // so a wide music mix with vocals in it is left alone
+  let centreDominance = 2.0
+
+  type t = {
+    mutable enabled: bool,
+    sampleRate: float,
+    // One per channel; stereo and 5.1 only use the first, for the centre
+    presence: array<BiquadFilter.t>,
+    voice: VoiceDetector.t,
+    centreGain: float,
+    duckGain: float,
+    attackCoef: float,
+    releaseCoef: float,
+    smoothCoef: float,
+    mutable duck: float,
+    mutable midPower: float,
+    mutable sidePower: float,
+  }
+
+  let make = (sampleRate: float): t => {
+    enabled: false,
+    sampleRate,
+    presence: [],
+    voice: VoiceDetector.make(sampleRate),
+    centreGain: DSP.dbToLinear(centreGainDb),
+    duckGain: DSP.dbToLinear(duckDb),
+    attackCoef: DSP.smoothCoefficient(duckAttackMs, sampleRate),
+    releaseCoef: DSP.smoothCoefficient(duckReleaseMs, sampleRate),
+    smoothCoef: DSP.smoothCoefficient(VoiceDetector.smoothingMs, sampleRate),
+    duck: 1.0,
+    midPower: 0.0,
+    sidePower: 0.0,
+  }
+
+  let setEnabled = (d: t, enabled: bool): unit => {
+    if enabled && !d.enabled {
+      d.duck = 1.0
+    }
+    d.enabled = enabled
+  }
+
+  let ensureChannels = (d: t, count: int): unit => {
+    while Array.length(d.presence) < count {
+      let filter = BiquadFilter.make()
+      BiquadFilter.configure(filter, BiquadFilter.Peak, presenceHz, d.sampleRate, presenceQ, presenceGainDb)
+      Array.push(d.presence, filter)
+    }
+  }
+
+  // Glide the gain for everything but the centre towards its target
+  let updateDuck = (d: t, speaking: bool): float => {
+    let target = speaking ? d.duckGain : 1.0
+    let coef = target < d.duck ? d.attackCoef : d.releaseCoef
+    d.duck = d.duck +. coef *. (target -. d.duck)
+    d.duck
+  }
+
+  let centre = (d: t, sample: float): float =>
+    BiquadFilter.process(Array.getUnsafe(d.presence, 0), sample) *. d.centreGain
+
+  let process = (d: t, output: channels): unit => {
+    let count = Array.length(output)
+    let frames = Float32Array.length(Array.getUnsafe(output, 0))
+    ensureChannels(d, count)
+
+    if count == 2 {
+      let left = Array.getUnsafe(output, 0)
+      let right = Array.getUnsafe(output, 1)
+      for i in 0 to frames - 1 {
+        let l = Float32Array.get(left, i)
+        let r = Float32Array.get(right, i)
+        let mid = (l +. r) *. 0.5
+        let side = (l -. r) *. 0.5
+        d.midPower = d.midPower +. d.smoothCoef *. (mid *. mid -. d.midPower)
+        d.sidePower = d.sidePower +. d.smoothCoef *. (side *. side -. d.sidePower)
+        let voiced = VoiceDetector.process(d.voice, mid)
+        let duck = updateDuck(d, voiced && d.midPower > centreDominance *. d.sidePower)
+        let mid = centre(d, mid)
+        let side = side *. duck
+        Float32Array.set(left, i, mid +. side)
+        Float32Array.set(right, i, mid -. side)
+      }
+    } else if count == surroundChannels {
+      let centreData = Array.getUnsafe(output, centreChannel)
+      for i in 0 to frames - 1 {
+        let c = Float32Array.get(centreData, i)
+        let duck = updateDuck(d, VoiceDetector.process(d.voice, c))
+        Float32Array.set(centreData, i, centre(d, c))
+        for ch in 0 to count - 1 {
+          if ch != centreChannel && ch != lfeChannel {
+            let data = Array.getUnsafe(output, ch)
+            Float32Array.set(data, i, Float32Array.get(data, i) *. duck)
+          }
+        }
+      }
+    } else {
+      Array.forEachWithIndex(output, (data, ch) => {
+        let filter = Array.getUnsafe(d.presence, ch)
+        for i in 0 to frames - 1 {
+          Float32Array.set(data, i, BiquadFilter.process(filter, Float32Array.get(data, i)))
+        }
+      })
+    }
+  }
+}
+
+// Speech/music classifier for the Auto preset. Each ~20 ms frame of the mono
+// mix gives a zero-crossing rate, a spectral flux across a small filterbank,
+// its energy, and whether the voice detector heard speech. Speech alternates
+// voiced and unvoiced sounds with pauses between syllables, so its ZCR and
+// flux swing widely and many frames are quiet; music is steadier. Averaged
+// over a couple of seconds, those cues give a speech score from 0 to 1.
+// Pauses count most: drums make music's flux swing too, and singing is
+// voiced, but music rarely stops between phrases the way speech does.
+module ContentClassifier = {
+  let frameMs = 20.0
+  let windowMs = 2000.0
+  let bandHz = [150.0, 400.0, 1000.0, 2500.0, 6000.0]
+  let bandQ = 1.0
+  // -60 dBFS, as power. Up to silenceMs of it counts as a pause; longer
+  // means nothing is playing, and the verdict is left as it was.
+  let silencePower = 0.000001
+  let silenceMs = 500.0
+  // A frame under a tenth of the average power is a pause
+  let pauseRatio = 0.1
+  // Audio heard before the first verdict
+  let settleMs = 1500.0
+  let speechAbove = 0.6
+  let musicBelow = 0.4
+  // How far past a boundary the score must go to leave the current class
+  let hysteresis = 0.05
+
+  type contentClass =
+    | Unknown
+    | Speech
+    | Music
+    | Mixed
+
+  // One end of the Auto preset's range
+  type profile = {
+    targetLufs: float,
+    ratio: float,
+    thresholdDb: float,
+    attackMs: float,
+    releaseMs: float,
+    eqGains: array<float>,
+  }
+
+  type profiles = {
+    speech: profile,
+    music: profile,
+  }
+
+  type t = {
+    filters: array<BiquadFilter.t>,
+    bandEnergy: Float64Array.t,
+    lastBandDb: Float64Array.t,
+    voice: VoiceDetector.t,
+    frameSize: int,
+    windowCoef: float,
+    settleFrames: int,
+    silenceFrames: int,
+    // The frame being accumulated
+    mutable position: int,
+    mutable energy: float,
+    mutable crossings: int,
+    mutable voicedSamples: int,
+    mutable lastSample: float,
+    mutable silentRun: int,
+    // Running means over the window
+    mutable frames: int,
+    mutable zcrMean: float,
+    mutable zcrSquareMean: float,
+    mutable fluxMean: float,
+    mutable fluxSquareMean: float,
+    mutable voicedMean: float,
+    mutable pauseMean: float,
+    mutable powerMean: float,
+    mutable score: float,
+    mutable contentClass: contentClass,
+  }
+
+  let make = (sampleRate: float): t => {
+    let filters = Array.map(bandHz, hz => {
+      let filter = BiquadFilter.make()
+      BiquadFilter.configure(filter, BiquadFilter.BandPass, hz, sampleRate, bandQ, 0.0)
+      filter
+    })
+    let frameSize = Float.toInt(Math.round(frameMs *. sampleRate /. 1000.0))
+    {
+      filters,
+      bandEnergy: Float64Array.make(Array.length(bandHz)),
+      lastBandDb: Float64Array.make(Array.length(bandHz)),
+      voice: VoiceDetector.make(sampleRate),
+      frameSize,
+      windowCoef: 1.0 -. Math.exp(-.frameMs /. windowMs),
+      settleFrames: Float.toInt(settleMs /. frameMs),
+      silenceFrames: Float.toInt(silenceMs /. frameMs),
+      position: 0,
+      energy: 0.0,
+      crossings: 0,
+      voicedSamples: 0,
+      lastSample: 0.0,
+      silentRun: 0,
+      frames: 0,
+      zcrMean: 0.0,
+      zcrSquareMean: 0.0,
+      fluxMean: 0.0,
+      fluxSquareMean: 0.0,
+      voicedMean: 0.0,
+      pauseMean: 0.0,
+      powerMean: 0.0,
+      score: 0.5,
+      contentClass: Unknown,
+    }
+  }
+
+  let name = (contentClass: contentClass): string =>
+    switch contentClass {
+    | Speech => "speech"
+    | Music => "music"
+    | Mixed => "mixed"
+    | Unknown => ""
+    }
+
+  // How much a feature varies relative to its mean
+  let variation = (mean: float, squareMean: float): float =>
+    Math.sqrt(Math.max(0.0, squareMean -. mean *. mean)) /. Math.max(mean, 0.000001)
+
+  let ramp = (value: float, low: float, high: float): float => DSP.clamp((value -. low) /. (high -. low), 0.0, 1.0)
+
+  let classify = (c: t): unit => {
+    c.score =
+      0.45 *. ramp(c.pauseMean, 0.05, 0.3) +.
+      0.25 *. c.voicedMean +.
+      0.2 *. ramp(variation(c.zcrMean, c.zcrSquareMean), 0.5, 1.5) +.
+      0.1 *. ramp(variation(c.fluxMean, c.fluxSquareMean), 1.5, 3.0)
+
+    let (speechAbove, musicBelow) = switch c.contentClass {
+    | Speech => (speechAbove -. hysteresis, musicBelow -. hysteresis)
+    | Music => (speechAbove +. hysteresis, musicBelow +. hysteresis)
+    | Mixed => (speechAbove +. hysteresis, musicBelow -. hysteresis)
+    | Unknown => (speechAbove, musicBelow)
+    }
+    c.contentClass = if c.score >= speechAbove {
+      Speech
+    } else if c.score <= musicBelow {
+      Music
+    } else {
+      Mixed
+    }
+  }
+
+  let finishFrame = (c: t): unit => {
+    let size = Int.toFloat(c.frameSize)
+    let power = c.energy /. size
+    // Early on the means are plain averages, so the first frames aren't
+    // weighed against zeros
+    let average = (mean, value) =>
+      mean +. Math.max(c.windowCoef, 1.0 /. Int.toFloat(c.frames + 1)) *. (value -. mean)
+
+    if power < silencePower {
+      c.silentRun = c.silentRun + 1
+      if c.silentRun <= c.silenceFrames && c.frames > 0 {
+        c.pauseMean = average(c.pauseMean, 1.0)
+      }
+    } else {
+      c.silentRun = 0
+      let zcr = Int.toFloat(c.crossings) /. size
+      let flux = ref(0.0)
+      for b in 0 to Array.length(c.filters) - 1 {
+        let db = 10.0 *. Math.log10(Float64Array.get(c.bandEnergy, b) /. size +. 0.000000000001)
+        flux := flux.contents +. Math.max(0.0, db -. Float64Array.get(c.lastBandDb, b))
+        Float64Array.set(c.lastBandDb, b, db)
+      }
+      let flux = flux.contents /. Int.toFloat(Array.length(c.filters))
+      let pause = c.frames > 0 && power < pauseRatio *. c.powerMean ? 1.0 : 0.0
+
+      c.zcrMean = average(c.zcrMean, zcr)
+      c.zcrSquareMean = average(c.zcrSquareMean, zcr *. zcr)
+      c.fluxMean = average(c.fluxMean, flux)
+      c.fluxSquareMean = average(c.fluxSquareMean, flux *. flux)
+      c.voicedMean = average(c.voicedMean, c.voicedSamples * 2 > c.frameSize ? 1.0 : 0.0)
+      c.pauseMean = average(c.pauseMean, pause)
+      c.powerMean = average(c.powerMean, power)
+      c.frames = c.frames + 1
+      if c.frames >= c.settleFrames {
+        classify(c)
+      }
+    }
+
+    c.position = 0
+    c.energy = 0.0
+    c.crossings = 0
+    c.voicedSamples = 0
+    Float64Array.fill(c.bandEnergy, 0.0)
+  }
+
+  let process = (c: t, input: channels): unit => {
+    let count = Array.length(input)
+    let scale = 1.0 /. Int.toFloat(count)
+    for i in 0 to Float32Array.length(Array.getUnsafe(input, 0)) - 1 {
+      let sum = ref(0.0)
+      for ch in 0 to count - 1 {
+        sum := sum.contents +. Float32Array.get(Array.getUnsafe(input, ch), i)
+      }
+      let x = sum.contents *. scale
+
+      c.energy = c.energy +. x *. x
+      if x *. c.lastSample < 0.0 {
+        c.crossings = c.crossings + 1
+      }
+      c.lastSample = x
+      for b in 0 to Array.length(c.filters) - 1 {
+        let y = BiquadFilter.process(Array.getUnsafe(c.filters, b), x)
+        Float64Array.set(c.bandEnergy, b, Float64Array.get(c.bandEnergy, b) +. y *. y)
+      }
+      if VoiceDetector.process(c.voice, x) {
+        c.voicedSamples = c.voicedSamples + 1
+      }
+
+      c.position = c.position + 1
+      if c.position >= c.frameSize {
+        finishFrame(c)
+      }
+    }
+  }
+}
+
+// 10-band ISO graphic equalizer (peaking bands). In adaptive mode the bands
+// glide towards the preset curve instead of jumping to it, like
+// AdaptiveEqualizer in src/zig/processors/equalizer.zig.
+module Equalizer = {
+  let frequencies = [31.0, 62.0, 125.0, 250.0, 500.0, 1000.0, 2000.0, 4000.0, 8000.0, 16000.0]
+  let bandCount = 10
+  let q = 1.414
+  let adaptationRate = 0.01
+  let maxGainDb = 24.0
+
+  type t = {
+    sampleRate: float,
+    mutable adaptive: bool,
+    gains: Float32Array.t,
+    targetGains: Float32Array.t,
+    nextGains: Float32Array.t,
+    channels: array<array<BiquadFilter.t>>,
+  }
+
+  let make = (sampleRate: float): t => {
+    sampleRate,
+    adaptive: false,
+    gains: Float32Array.make(bandCount),
+    targetGains: Float32Array.make(bandCount),
+    nextGains: Float32Array.make(bandCount),
+    channels: [],
+  }
+
+  let configureFilters = (eq: t, filters: array<BiquadFilter.t>): unit => {
+    Array.forEachWithIndex(filters, (f, b) =>
+      BiquadFilter.configure(
+        f,
+        Peak,
+        Array.getUnsafe(frequencies, b),
+        eq.sampleRate,
+        q,
+        Float32Array.get(eq.gains, b),
+      )
+    )
+  }
+
+  let applyGains = (eq: t, gains: Float32Array.t): unit => {
+    for b in 0 to bandCount - 1 {
+      Float32Array.set(eq.gains, b, Float32Array.get(gains, b))
+    }
+    Array.forEach(eq.channels, filters => configureFilters(eq, filters))
+  }
+
+  let setGains = (eq: t, gains: array<float>, adaptive: bool): unit => {
+    eq.adaptive = adaptive
+    for b in 0 to bandCount - 1 {
+      let gain = b < Array.length(gains) ? Array.getUnsafe(gains, b) : 0.0
+      Float32Array.set(eq.targetGains, b, isNaN(gain) ? 0.0 : DSP.clamp(gain, -.maxGainDb, maxGainDb))
+    }
+    if !adaptive {
+      applyGains(eq, eq.targetGains)
+    }
+  }
+
+  let ensureChannels = (eq: t, count: int): unit => {
+    while Array.length(eq.channels) < count {
+      let filters = Array.map(frequencies, _ => BiquadFilter.make())
+      configureFilters(eq, filters)
+      Array.push(eq.channels, filters)
+    }
+  }
+
+  // Move one step towards the target curve (called once per block)
+  let adapt = (eq: t): unit => {
+    let changed = ref(false)
+    for b in 0 to bandCount - 1 {
+      let target = Float32Array.get(eq.targetGains, b)
+      let gain = Float32Array.get(eq.gains, b)
+      let diff = target -. gain
+      Float32Array.set(
+        eq.nextGains,
+        b,
+        Math.abs(diff) < 0.01 ? target : gain +. adaptationRate *. diff,
+      )
+      if Float32Array.get(eq.nextGains, b) != gain {
+        changed := true
+      }
+    }
+    if changed.contents {
+      applyGains(eq, eq.nextGains)
+    }
+  }
+
+  let active = (eq: t): bool => {
+    let active = ref(false)
+    for b in 0 to bandCount - 1 {
+      if Float32Array.get(eq.gains, b) != 0.0 || Float32Array.get(eq.targetGains, b) != 0.0 {
+        active := true
+      }
+    }
+    active.contents
+  }
+
+  let process = (eq: t, output: channels): unit => {
+    if eq.adaptive {
+      adapt(eq)
+    }
+    if active(eq) {
+      ensureChannels(eq, Array.length(output))
+      Array.forEachWithIndex(output, (data, ch) => {
+        let filters = Array.getUnsafe(eq.channels, ch)
+        for i in 0 to Float32Array.length(data) - 1 {
+          let s = ref(Float32Array.get(data, i))
+          for b in 0 to bandCount - 1 {
+            s := BiquadFilter.process(Array.getUnsafe(filters, b), s.contents)
+          }
+          Float32Array.set(data, i, s.contents)
+        }
+      })
+    }
+  }
+}
+
+// Lookahead true-peak limiter. Peaks are detected on a 4x oversampled signal,
+// the required gain is held across the lookahead window and box-filtered over
+// the attack time, so the gain is fully down by the time the delayed peak
+// reaches the output.
+module Limiter = {
+  let oversample = 4
+  let tapsPerPhase = 12
+  // Interpolated peaks lag the input by about half the filter length
+  let detectorDelay = 6 // tapsPerPhase / 2
+
+  type params = {
+    ceilingDb?: float,
+    lookaheadMs?: float,
+    attackMs?: float,
+    releaseMs?: float,
+  }
+
+  type channel = {
+    mutable history: Float32Array.t,
+    mutable historyIndex: int,
+    mutable delay: Float32Array.t,
+    mutable delayIndex: int,
+  }
+
+  type t = {
+    sampleRate: float,
+    mutable ceilingDb: float,
+    mutable attackMs: float,
+    mutable releaseMs: float,
+    mutable lookaheadMs: float,
+    phases: array<Float32Array.t>,
+    channels: array<channel>,
+    mutable gain: float,
+    mutable lookahead: int,
+    mutable attack: int,
+    mutable releaseCoef: float,
+    // Sliding minimum over the lookahead window (monotonic deque)
+    mutable holdValues: Float32Array.t,
+    mutable holdTimes: Float64Array.t,
+    mutable holdHead: int,
+    mutable holdSize: int,
+    mutable time: float,
+    // Box filter over the attack time
+    mutable boxBuffer: Float32Array.t,
+    mutable boxIndex: int,
+    mutable boxSum: float,
+    mutable envelope: float,
+    // Lowest gain applied since the caller last reset it to 1.0
+    mutable lowestGain: float,
+  }
+
+  // Latency added by the delay line, in samples
+  let latency = (l: t): int => l.lookahead + detectorDelay
+
+  let resetChannel = (l: t, c: channel): unit => {
+    c.history = Float32Array.make(tapsPerPhase)
+    c.historyIndex = 0
+    c.delay = Float32Array.make(latency(l))
+    c.delayIndex = 0
+  }
+
+  // (Re)build the delay, hold and attack buffers for the current timings
+  let configure = (l: t): unit => {
+    let lookahead = Math.Int.max(1, Float.toInt(Math.round(l.lookaheadMs *. l.sampleRate /. 1000.0)))
+    l.lookahead = lookahead
+    l.attack = Math.Int.max(
+      1,
+      Math.Int.min(lookahead, Float.toInt(Math.round(l.attackMs *. l.sampleRate /. 1000.0))),
+    )
+    l.releaseCoef = DSP.smoothCoefficient(l.releaseMs, l.sampleRate)
+
+    l.holdValues = Float32Array.make(lookahead + 2)
+    l.holdTimes = Float64Array.make(lookahead + 2)
+    l.holdHead = 0
+    l.holdSize = 0
+    l.time = 0.0
+
+    l.boxBuffer = Float32Array.make(l.attack)
+    Float32Array.fill(l.boxBuffer, 1.0)
+    l.boxIndex = 0
+    l.boxSum = Int.toFloat(l.attack)
+
+    l.envelope = 1.0
+    Array.forEach(l.channels, c => resetChannel(l, c))
+  }
+
+  let make = (sampleRate: float): t => {
+    // Windowed-sinc interpolator, split into polyphase branches
+    let taps = oversample * tapsPerPhase
+    let centre = Int.toFloat(taps - 1) /. 2.0
+    let phases = []
+    for p in 0 to oversample - 1 {
+      let phase = Float32Array.make(tapsPerPhase)
+      for k in 0 to tapsPerPhase - 1 {
+        let n = Int.toFloat(k * oversample + p)
+        let x = (n -. centre) /. Int.toFloat(oversample)
+        let sinc = x == 0.0 ? 1.0 : Math.sin(Math.Constants.pi *. x) /. (Math.Constants.pi *. x)
+        let span = Int.toFloat(taps - 1)
+        let blackman =
+          0.42 -.
+          0.5 *. Math.cos(2.0 *. Math.Constants.pi *. n /. span) +.
+          0.08 *. Math.cos(4.0 *. Math.Constants.pi *. n /. span)
+        Float32Array.set(phase, k, sinc *. blackman)
+      }
+      Array.push(phases, phase)
+    }
+
+    let l = {
+      sampleRate,
+      ceilingDb: -0.5,
+      attackMs: 5.0,
+      releaseMs: 50.0,
+      // Nothing delays the picture to match, so look no further ahead than
+      // the attack needs: a few ms is well inside lip-sync tolerance
+      lookaheadMs: 5.0,
+      phases,
+      channels: [],
+      gain: 1.0,
+      lookahead: 1,
+      attack: 1,
+      releaseCoef: 1.0,
+      holdValues: Float32Array.make(0),
+      holdTimes: Float64Array.make(0),
+      holdHead: 0,
+      holdSize: 0,
+      time: 0.0,
+      boxBuffer: Float32Array.make(0),
+      boxIndex: 0,
+      boxSum: 0.0,
+      envelope: 1.0,
+      lowestGain: 1.0,
+    }
+    configure(l)
+    l
+  }
+
+  let setParams = (l: t, params: params): unit => {
+    switch params.ceilingDb {
+    | Some(ceilingDb) => l.ceilingDb = ceilingDb
+    | None => ()
+    }
+
+    // Timing changes rebuild the buffers, so only do it when needed
+    let changed = (value: option<float>, current: float) =>
+      switch value {
+      | Some(value) => value != current
+      | None => false
+      }
+    if (
+      changed(params.lookaheadMs, l.lookaheadMs) ||
+      changed(params.attackMs, l.attackMs) ||
+      changed(params.releaseMs, l.releaseMs)
+    ) {
+      switch params.lookaheadMs {
+      | Some(ms) => l.lookaheadMs = DSP.clamp(ms, 1.0, 100.0)
+      | None => ()
+      }
+      switch params.attackMs {
+      | Some(ms) => l.attackMs = ms
+      | None => ()
+      }
+      switch params.releaseMs {
+      | Some(ms) => l.releaseMs = ms
+      | None => ()
+      }
+      configure(l)
+    }
+  }
+
+  let ensureChannels = (l: t, count: int): unit => {
+    while Array.length(l.channels) < count {
+      let c = {
+        history: Float32Array.make(0),
+        historyIndex: 0,
+        delay: Float32Array.make(0),
+        delayIndex: 0,
+      }
+      resetChannel(l, c)
+      Array.push(l.channels, c)
+    }
+  }
+
+  // Largest absolute value among the original and interpolated samples
+  let truePeak = (l: t, c: channel, x: float): float => {
+    Float32Array.set(c.history, c.historyIndex, x)
+    let peak = ref(Math.abs(x))
+    for p in 0 to oversample - 1 {
+      let h = Array.getUnsafe(l.phases, p)
+      let acc = ref(0.0)
+      let idx = ref(c.historyIndex)
+      for k in 0 to tapsPerPhase - 1 {
+        acc := acc.contents +. Float32Array.get(h, k) *. Float32Array.get(c.history, idx.contents)
+        idx := (idx.contents == 0 ? tapsPerPhase - 1 : idx.contents - 1)
+      }
+      let abs = Math.abs(acc.contents)
+      if abs > peak.contents {
+        peak := abs
+      }
+    }
+    c.historyIndex = (c.historyIndex + 1 == tapsPerPhase ? 0 : c.historyIndex + 1)
+    peak.contents
+  }
+
+  let holdMinimum = (l: t, value: float): float => {
+    let size = Float32Array.length(l.holdValues)
+    let wrap = index => index >= size ? index - size : index
+
+    // Drop entries that can no longer be the minimum
+    let searching = ref(true)
+    while searching.contents && l.holdSize > 0 {
+      if Float32Array.get(l.holdValues, wrap(l.holdHead + l.holdSize - 1)) < value {
+        searching := false
+      } else {
+        l.holdSize = l.holdSize - 1
+      }
+    }
+    let tail = wrap(l.holdHead + l.holdSize)
+    Float32Array.set(l.holdValues, tail, value)
+    Float64Array.set(l.holdTimes, tail, l.time)
+    l.holdSize = l.holdSize + 1
+
+    // Drop entries that have left the window
+    if Float64Array.get(l.holdTimes, l.holdHead) <= l.time -. Int.toFloat(l.lookahead) -. 1.0 {
+      l.holdHead = wrap(l.holdHead + 1)
+      l.holdSize = l.holdSize - 1
+    }
+    l.time = l.time +. 1.0
+    Float32Array.get(l.holdValues, l.holdHead)
+  }
+
+  let process = (l: t, output: channels): unit => {
+    let count = Array.length(output)
+    let frames = Float32Array.length(Array.getUnsafe(output, 0))
+    let ceiling = DSP.dbToLinear(l.ceilingDb)
+    let delayLength = latency(l)
+    ensureChannels(l, count)
+
+    for i in 0 to frames - 1 {
+      // Linked detection: the loudest channel sets the gain for all
+      let peak = ref(0.0)
+      for ch in 0 to count - 1 {
+        let x = Float32Array.get(Array.getUnsafe(output, ch), i)
+        let tp = truePeak(l, Array.getUnsafe(l.channels, ch), x)
+        if tp > peak.contents {
+          peak := tp
+        }
+      }
+      let required = peak.contents > ceiling ? ceiling /. peak.contents : 1.0
+
+      let held = holdMinimum(l, required)
+      if held < l.envelope {
+        l.envelope = held
+      } else {
+        l.envelope = l.envelope +. l.releaseCoef *. (held -. l.envelope)
+      }
+
+      l.boxSum = l.boxSum +. l.envelope -. Float32Array.get(l.boxBuffer, l.boxIndex)
+      Float32Array.set(l.boxBuffer, l.boxIndex, l.envelope)
+      l.boxIndex = (l.boxIndex + 1 == l.attack ? 0 : l.boxIndex + 1)
+      l.gain = l.boxSum /. Int.toFloat(l.attack)
+      if l.gain < l.lowestGain {
+        l.lowestGain = l.gain
+      }
+
+      for ch in 0 to count - 1 {
+        let c = Array.getUnsafe(l.channels, ch)
+        let data = Array.getUnsafe(output, ch)
+        let delayed = Float32Array.get(c.delay, c.delayIndex)
+        Float32Array.set(c.delay, c.delayIndex, Float32Array.get(data, i))
+        c.delayIndex = (c.delayIndex + 1 == delayLength ? 0 : c.delayIndex + 1)
+        Float32Array.set(data, i, delayed *. l.gain)
+      }
+    }
+  }
+}
+
+// Main VoluMod Processor
+module VoluModProcessor = {
+  // Every inbound message; which fields are set depends on type_
+  type message = {
+    @as("type") type_: string,
+    value?: bool,
+    targetLufs?: float,
+    stereoLink?: string,
+    midSide?: bool,
+    multiband?: bool,
+    bands?: array<Multiband.bandSettings>,
+    crossoverHz?: array<float>,
+    dialogue?: bool,
+    contentAware?: bool,
+    contentProfiles?: ContentClassifier.profiles,
+    jumpGuard?: bool,
+    jumpThresholdDb?: float,
+    scope?: string,
+    seconds?: float,
+    integratedLufs?: float,
+    ratio?: float,
+    thresholdDb?: float,
+    kneeDb?: float,
+    attackMs?: float,
+    releaseMs?: float,
+    makeupDb?: float,
+    ceilingDb?: float,
+    lookaheadMs?: float,
+    eqGains?: array<float>,
+    eqAdaptive?: bool,
+    noiseReduction?: bool,
+    // Missing counts as null
+    profile: Nullable.t<NoiseReducer.profileMessage>,
+  }
+
+  type levelsMessage = {
+    @as("type") type_: string,
+    inputSilent: bool,
+    inputPeak: float,
+    inputRms: float,
+    outputPeak: float,
+    outputRms: float,
+    gainReductionDb: float,
+    limiterReductionDb: float,
+    normalizerGainDb: float,
+    integratedLufs: float,
+    loudnessSeconds: float,
+    inputShortTermLufs: float,
+    outputShortTermLufs: float,
+    contentClass: string,
+    loudnessJumps: int,
+  }
+
+  type latencyMessage = {
+    @as("type") type_: string,
+    samples: int,
+    ms: float,
+  }
+
+  type noiseProfileMessage = {
+    @as("type") type_: string,
+    profile: Nullable.t<NoiseReducer.profileMessage>,
+  }
+
+  // Peak and RMS accumulated over ~50 ms, then posted
+  type meter = {
+    mutable peak: float,
+    mutable sumSquares: float,
+    mutable count: int,
+  }
+
+  type t = {
+    port: MessagePort.t,
+    sampleRate: float,
+    mutable bypass: bool,
+    normalizer: Normalizer.t,
+    compressor: Compressor.t,
+    // Mid/side mode compresses the sides with this, the mid with compressor
+    sideCompressor: Compressor.t,
+    // Linked detection from the summed channel power rather than the loudest
+    mutable linkSum: bool,
+    mutable midSide: bool,
+    multiband: Multiband.t,
+    dialogue: DialogueEnhancer.t,
+    // Auto preset: where between the speech (1.0) and music (0.0) settings
+    // the chain sits, and where it sat when they were last applied
+    mutable contentAware: bool,
+    mutable contentProfiles: option<ContentClassifier.profiles>,
+    classifier: ContentClassifier.t,
+    mutable speechBlend: float,
+    mutable appliedBlend: float,
+    blendSmooth: float,
+    contentGains: array<float>,
+    equalizer: Equalizer.t,
+    limiter: Limiter.t,
+    noiseReducer: NoiseReducer.t,
+    // The normalizer meters the input; this meters what leaves the chain
+    outputLoudness: LoudnessMeter.t,
+    mutable latency: int,
+    meterInterval: int,
+    mutable meterFrames: int,
+    meterIn: meter,
+    meterOut: meter,
+  }
+
+  let make = (port: MessagePort.t): t => {
+    port,
+    sampleRate,
+    bypass: false,
+    normalizer: Normalizer.make(sampleRate),
+    compressor: Compressor.make(sampleRate),
+    sideCompressor: Compressor.make(sampleRate),
+    linkSum: false,
+    midSide: false,
+    multiband: Multiband.make(sampleRate),
+    dialogue: DialogueEnhancer.make(sampleRate),
+    contentAware: false,
+    contentProfiles: None,
+    classifier: ContentClassifier.make(sampleRate),
+    speechBlend: 0.5,
+    appliedBlend: -1.0,
+    blendSmooth: DSP.smoothCoefficient(3000.0, sampleRate),
+    contentGains: Array.map(Equalizer.frequencies, _ => 0.0),
+    equalizer: Equalizer.make(sampleRate),
+    limiter: Limiter.make(sampleRate),
+    noiseReducer: NoiseReducer.make(sampleRate),
+    outputLoudness: LoudnessMeter.make(sampleRate),
+    latency: 0,
+    meterInterval: Float.toInt(Math.round(sampleRate *. 0.05)),
+    meterFrames: 0,
+    meterIn: {peak: 0.0, sumSquares: 0.0, count: 0},
+    meterOut: {peak: 0.0, sumSquares: 0.0, count: 0},
+  }
+
+  let setBypass = (p: t, bypass: bool): unit => {
+    p.bypass = bypass
+  }
+
+  let setTargetLoudness = (p: t, lufs: float): unit => {
+    p.normalizer.targetLufs = lufs
+  }
+
+  let setPreset = (p: t, data: message): unit => {
+    let apply = (value: option<float>, set) =>
+      switch value {
+      | Some(value) => set(value)
+      | None => ()
+      }
+    apply(data.targetLufs, lufs => setTargetLoudness(p, lufs))
+    switch data.jumpGuard {
+    | Some(enabled) => JumpGuard.setEnabled(p.normalizer.guard, enabled)
+    | None => ()
+    }
+    apply(data.jumpThresholdDb, db => p.normalizer.guard.thresholdDb = db)
+    // Mid and sides share one set of settings
+    Array.forEach([p.compressor, p.sideCompressor], c => {
+      apply(data.ratio, ratio => c.ratio = ratio)
+      apply(data.thresholdDb, db => c.thresholdDb = db)
+      apply(data.attackMs, ms => Compressor.setAttack(c, ms))
+      apply(data.releaseMs, ms => Compressor.setRelease(c, ms))
+    })
+    // Knee and makeup apply to every compressor, bands included
+    Array.forEach(
+      Array.concat([p.compressor, p.sideCompressor], p.multiband.compressors),
+      c => {
+        apply(data.kneeDb, db => c.kneeDb = db)
+        apply(data.makeupDb, db => c.makeupGainDb = db)
+      },
+    )
+    switch data.multiband {
+    | Some(enabled) => p.multiband.enabled = enabled
+    | None => ()
+    }
+    switch data.bands {
+    | Some(bands) => Multiband.setBands(p.multiband, bands)
+    | None => ()
+    }
+    switch data.crossoverHz {
+    | Some(hz) if Array.length(hz) == 2 =>
+      Crossover.setFrequencies(
+        p.multiband.crossover,
+        Array.getUnsafe(hz, 0),
+        Array.getUnsafe(hz, 1),
+      )
+    | _ => ()
+    }
+    switch data.stereoLink {
+    | Some(link) => p.linkSum = link == "sum"
+    | None => ()
+    }
+    switch data.midSide {
+    | Some(enabled) => p.midSide = enabled
+    | None => ()
+    }
+    switch data.dialogue {
+    | Some(enabled) => DialogueEnhancer.setEnabled(p.dialogue, enabled)
+    | None => ()
+    }
+    switch data.contentAware {
+    | Some(enabled) => p.contentAware = enabled
+    | None => ()
+    }
+    switch data.contentProfiles {
+    | Some(profiles) => p.contentProfiles = Some(profiles)
+    | None => ()
+    }
+    // Whatever the preset just set, the blend goes back on top of it
+    p.appliedBlend = -1.0
+    Limiter.setParams(p.limiter, {ceilingDb: ?data.ceilingDb, lookaheadMs: ?data.lookaheadMs})
+    let adaptive = switch data.eqAdaptive {
+    | Some(adaptive) => adaptive
+    | None => p.equalizer.adaptive
+    }
+    switch data.eqGains {
+    | Some(gains) => Equalizer.setGains(p.equalizer, gains, adaptive)
+    | None => p.equalizer.adaptive = adaptive
+    }
+    switch data.noiseReduction {
+    | Some(enabled) => p.noiseReducer.enabled = enabled
+    | None => ()
+    }
+  }
+
+  let handleMessage = (p: t, data: message): unit => {
+    switch data.type_ {
+    | "SET_BYPASS" =>
+      switch data.value {
+      | Some(value) => setBypass(p, value)
+      | None => ()
+      }
+    | "SET_PRESET" => setPreset(p, data)
+    | "SET_LIMITER" =>
+      Limiter.setParams(
+        p.limiter,
+        {
+          ceilingDb: ?data.ceilingDb,
+          lookaheadMs: ?data.lookaheadMs,
+          attackMs: ?data.attackMs,
+          releaseMs: ?data.releaseMs,
+        },
+      )
+    | "RESET_LOUDNESS" =>
+      switch data.scope {
+      | Some("track") => Normalizer.resetTrack(p.normalizer)
+      | Some("window") => {
+          LoudnessMeter.restartWindow(p.normalizer.meter)
+          LoudnessMeter.restartWindow(p.outputLoudness)
+        }
+      | _ => ()
+      }
+    | "SET_LOUDNESS_WINDOW" =>
+      switch data.seconds {
+      | Some(seconds) => LoudnessMeter.setWindow(p.normalizer.meter, seconds)
+      | None => ()
+      }
+    | "SEED_LOUDNESS" =>
+      switch data.integratedLufs {
+      | Some(lufs) => Normalizer.seed(p.normalizer, lufs)
+      | None => ()
+      }
+    | "SET_NOISE_PROFILE" => NoiseReducer.setProfile(p.noiseReducer, data.profile)
+    | "START_NOISE_LEARN" => NoiseReducer.startLearning(p.noiseReducer)
+    | "STOP_NOISE_LEARN" => {
+        let profile = switch NoiseReducer.stopLearning(p.noiseReducer) {
+        | Some(profile) =>
+          Nullable.make(
+            (
+              {
+                floorDb: profile.floorDb,
+                bands: Float32Array.toArray(profile.bands),
+                frames: profile.frames,
+              }: NoiseReducer.profileMessage
+            ),
+          )
+        | None => Nullable.null
+        }
+        let message: noiseProfileMessage = {type_: "NOISE_PROFILE", profile}
+        MessagePort.postMessage(p.port, message)
+      }
+    | _ => ()
+    }
+  }
+
+  let accumulateLevels = (input: channels, m: meter): unit => {
+    Array.forEach(input, data => {
+      let len = Float32Array.length(data)
+      for i in 0 to len - 1 {
+        let s = Float32Array.get(data, i)
+        let abs = Math.abs(s)
+        if abs > m.peak {
+          m.peak = abs
+        }
+        m.sumSquares = m.sumSquares +. s *. s
+      }
+      m.count = m.count + len
+    })
+  }
+
+  let rms = (m: meter): float => {
+    m.count > 0 ? Math.sqrt(m.sumSquares /. Int.toFloat(m.count)) : 0.0
+  }
+
+  let resetMeter = (m: meter): unit => {
+    m.peak = 0.0
+    m.sumSquares = 0.0
+    m.count = 0
+  }
+
+  // Tell the content script when the chain's delay changes
+  let reportLatency = (p: t): unit => {
+    let latency = if p.bypass {
+      0
+    } else if NoiseReducer.active(p.noiseReducer) {
+      Limiter.latency(p.limiter) + NoiseReducer.latency
+    } else {
+      Limiter.latency(p.limiter)
+    }
+
+    if latency != p.latency {
+      p.latency = latency
+      let message: latencyMessage = {
+        type_: "LATENCY",
+        samples: latency,
+        ms: Int.toFloat(latency) *. 1000.0 /. p.sampleRate,
+      }
+      MessagePort.postMessage(p.port, message)
+    }
+  }
+
+  let reportLevels = (p: t, frames: int): unit => {
+    p.meterFrames = p.meterFrames + frames
+    if p.meterFrames >= p.meterInterval {
+      let message: levelsMessage = {
+        type_: "LEVELS",
+        // Exact digital silence; a CORS-tainted source outputs only zeros
+        inputSilent: p.meterIn.peak == 0.0,
+        inputPeak: DSP.linearToDb(p.meterIn.peak),
+        inputRms: DSP.linearToDb(rms(p.meterIn)),
+        outputPeak: DSP.linearToDb(p.meterOut.peak),
+        outputRms: DSP.linearToDb(rms(p.meterOut)),
+        gainReductionDb: Math.max(
+          Math.max(p.compressor.peakReductionDb, p.sideCompressor.peakReductionDb),
+          Multiband.peakReductionDb(p.multiband),
+        ),
+        limiterReductionDb: -.DSP.linearToDb(p.limiter.lowestGain),
+        // Held, not applied, while bypassed
+        normalizerGainDb: (p.bypass ? 0.0 : DSP.linearToDb(p.normalizer.currentGain)),
+        integratedLufs: p.normalizer.integratedLufs,
+        // Gating blocks overlap, starting every 100 ms
+        loudnessSeconds: Int.toFloat(p.normalizer.meter.gatedCount) /. 10.0,
+        // The input meter is idle while bypassed, when output equals input
+        inputShortTermLufs: (
+          p.bypass ? p.outputLoudness.shortTerm : p.normalizer.meter.shortTerm
+        ),
+        outputShortTermLufs: p.outputLoudness.shortTerm,
+        contentClass: (p.contentAware ? ContentClassifier.name(p.classifier.contentClass) : ""),
+        loudnessJumps: p.normalizer.guard.jumps,
+      }
+      MessagePort.postMessage(p.port, message)
+
+      p.meterFrames = 0
+      p.compressor.peakReductionDb = 0.0
+      p.sideCompressor.peakReductionDb = 0.0
+      Multiband.clearPeakReduction(p.multiband)
+      p.limiter.lowestGain = 1.0
+      p.normalizer.guard.jumps = 0
+      resetMeter(p.meterIn)
+      resetMeter(p.meterOut)
+    }
+  }
+
+  // Normalize and compress one block from source into output (which may be
+  // the same buffers). Every channel gets the same gain, from one detector:
+  // the loudest channel, or the channels' summed power with linkSum, so the
+  // stereo image holds and channel order doesn't matter. In mid/side mode a
+  // stereo pair is split into mid (the centre, where dialogue sits) and
+  // sides, each compressed on its own, then recombined. Multiband mode
+  // takes over from both.
+  let compress = (p: t, source: channels, output: channels, startGain: float, gainStep: float) => {
+    let count = Array.length(source)
+    let frames = Float32Array.length(Array.getUnsafe(source, 0))
+
+    if p.multiband.enabled {
+      Multiband.process(p.multiband, source, output, startGain, gainStep, p.linkSum)
+    } else if p.midSide && count == 2 {
+      let left = Array.getUnsafe(source, 0)
+      let right = Array.getUnsafe(source, 1)
+      let outLeft = Array.getUnsafe(output, 0)
+      let outRight = Array.getUnsafe(output, 1)
+      for i in 0 to frames - 1 {
+        let g = startGain +. gainStep *. Int.toFloat(i + 1)
+        let l = Float32Array.get(left, i) *. g
+        let r = Float32Array.get(right, i) *. g
+        let mid = (l +. r) *. 0.5
+        let side = (l -. r) *. 0.5
+        let mid = mid *. Compressor.gain(p.compressor, Math.abs(mid))
+        let side = side *. Compressor.gain(p.sideCompressor, Math.abs(side))
+        Float32Array.set(outLeft, i, mid +. side)
+        Float32Array.set(outRight, i, mid -. side)
+      }
+    } else {
+      for i in 0 to frames - 1 {
+        let g = startGain +. gainStep *. Int.toFloat(i + 1)
+        let level = ref(0.0)
+        for ch in 0 to count - 1 {
+          let x = Float32Array.get(Array.getUnsafe(source, ch), i) *. g
+          if p.linkSum {
+            level := level.contents +. x *. x
+          } else if Math.abs(x) > level.contents {
+            level := Math.abs(x)
+          }
+        }
+        let level = p.linkSum ? Math.sqrt(level.contents) : level.contents
+        let gain = g *. Compressor.gain(p.compressor, level)
+        for ch in 0 to count - 1 {
+          let x = Float32Array.get(Array.getUnsafe(source, ch), i)
+          Float32Array.set(Array.getUnsafe(output, ch), i, x *. gain)
+        }
+      }
+    }
+  }
+
+  // Auto preset: classify the block, glide the blend towards the verdict
+  // and set the chain to match. Unclassified content sits halfway.
+  let adaptToContent = (p: t, input: channels, frames: int): unit => {
+    switch p.contentProfiles {
+    | Some({speech, music}) => {
+        ContentClassifier.process(p.classifier, input)
+        let target = switch p.classifier.contentClass {
+        | Speech => 1.0
+        | Music => 0.0
+        | Mixed | Unknown => 0.5
+        }
+        let blockSmooth = 1.0 -. Math.pow(1.0 -. p.blendSmooth, ~exp=Int.toFloat(frames))
+        p.speechBlend = p.speechBlend +. blockSmooth *. (target -. p.speechBlend)
+
+        if Math.abs(p.speechBlend -. p.appliedBlend) > 0.001 {
+          let b = p.speechBlend
+          let blend = (speechValue, musicValue) => musicValue +. (speechValue -. musicValue) *. b
+          setTargetLoudness(p, blend(speech.targetLufs, music.targetLufs))
+          Array.forEach([p.compressor, p.sideCompressor], c => {
+            c.ratio = blend(speech.ratio, music.ratio)
+            c.thresholdDb = blend(speech.thresholdDb, music.thresholdDb)
+            Compressor.setAttack(c, blend(speech.attackMs, music.attackMs))
+            Compressor.setRelease(c, blend(speech.releaseMs, music.releaseMs))
+          })
+          Array.forEachWithIndex(p.contentGains, (_, band) => {
+            let gain = (gains: array<float>) =>
+              band < Array.length(gains) ? Array.getUnsafe(gains, band) : 0.0
+            Array.setUnsafe(p.contentGains, band, blend(gain(speech.eqGains), gain(music.eqGains)))
+          })
+          Equalizer.setGains(p.equalizer, p.contentGains, p.equalizer.adaptive)
+          p.appliedBlend = b
+        }
+      }
+    | None => ()
+    }
+  }
+
+  let process = (p: t, inputs: array<channels>, outputs: array<channels>): bool => {
+    let input = Array.getUnsafe(inputs, 0)
+    let output = Array.getUnsafe(outputs, 0)
+
+    if Array.length(input) > 0 && Float32Array.length(Array.getUnsafe(input, 0)) > 0 {
+      accumulateLevels(input, p.meterIn)
+      if p.contentAware && !p.bypass {
+        adaptToContent(p, input, Float32Array.length(Array.getUnsafe(input, 0)))
+      }
+
+      // Noise reduction runs first and writes into the output buffers,
+      // which the rest of the chain then processes in place
+      let source = if !p.bypass && NoiseReducer.active(p.noiseReducer) {
+        NoiseReducer.process(p.noiseReducer, input, output)
+        output
+      } else {
+        input
+      }
+
+      // Normalization, ramped across the block to avoid zipper noise
+      let frames = Float32Array.length(Array.getUnsafe(input, 0))
+      let startGain = p.normalizer.currentGain
+      if !p.bypass {
+        Normalizer.update(p.normalizer, source, frames)
+      }
+      let gainStep = (p.normalizer.currentGain -. startGain) /. Int.toFloat(frames)
+
+      if p.bypass {
+        Array.forEachWithIndex(source, (inCh, ch) => {
+          Float32Array.setFrom(Array.getUnsafe(output, ch), inCh)
+        })
+      } else {
+        compress(p, source, output, startGain, gainStep)
+      }
+
+      if !p.bypass {
+        if p.dialogue.enabled {
+          DialogueEnhancer.process(p.dialogue, output)
+        }
+        Equalizer.process(p.equalizer, output)
+        Limiter.process(p.limiter, output)
+      }
+      reportLatency(p)
+
+      accumulateLevels(output, p.meterOut)
+      LoudnessMeter.process(p.outputLoudness, output)
+      reportLevels(p, frames)
+    }
+    true
+  }
+}
+
+// ReScript has no class syntax, so the AudioWorkletProcessor subclass is a
+// thin shell that hands its port, messages and buffers to VoluModProcessor
+let makeProcessorClass: (
+  MessagePort.t => VoluModProcessor.t,
+  (VoluModProcessor.t, VoluModProcessor.message) => unit,
+  (VoluModProcessor.t, array<channels>, array<channels>) => bool,
+) => processorClass = %raw(`
+  function (make, onMessage, render) {
+    return class extends AudioWorkletProcessor {
+      constructor() {
+        super();
+        this.state = make(this.port);
+        this.port.onmessage = (e) => onMessage(this.state, e.data);
+      }
+
+      process(inputs, outputs) {
+        return render(this.state, inputs, outputs);
+      }
+    };
+  }
+`)
+
+registerProcessor(
+  "volumod-processor",
+  makeProcessorClass(
+    VoluModProcessor.make,
+    VoluModProcessor.handleMessage,
+    VoluModProcessor.process,
+  ),
+)
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Background Tests
+// Runs the service worker against a stand-in for the extension APIs:
+// node --test browser/tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Messages the worker sends to tabs, as [tabId, message, options], and how
+// the tabs answer them
+const sentToTabs = [];
+let replyFromTab = () => ({ success: true });
+// Messages meant for an open popup
+const sentToPopup = [];
+const listeners = {};
+const listen = (name) => ({ addListener: (listener) => { listeners[name] = listener; } });
+const storageArea = (stored = {}) => ({ get: async () => stored, set: async () => {} });
+
+// Settings as an older build saved them: a custom preset from before the
+// multiband and EQ fields existed, and an entry that isn't a preset at all
+const storedSettings = {
+  volumod_settings: {
+    isBypassed: false,
+    preset: 'custom-old',
+    customPresets: [{ id: 'custom-old', name: 'Old', targetLufs: -18 }, null]
+  }
+};
+
+globalThis.chrome = {
+  runtime: {
+    onInstalled: listen('installed'),
+    onMessage: listen('message'),
+    // No popup is open to answer
+    sendMessage: (message) => {
+      sentToPopup.push(message);
+      return Promise.reject(new Error('No receiver'));
+    }
+  },
+  storage: { local: storageArea(storedSettings), session: storageArea() },
+  scripting: { getRegisteredContentScripts: async () => [] },
+  tabs: {
+    query: async () => [],
+    sendMessage: async (tabId, message, options) => {
+      sentToTabs.push([tabId, message, options]);
+      return replyFromTab(message, options);
+    },
+    onRemoved: listen('tabRemoved')
+  },
+  action: {
+    onClicked: listen('actionClicked'),
+    setTitle: async () => {},
+    setBadgeText: async () => {},
+    setBadgeBackgroundColor: async () => {}
+  }
+};
+
+await import('../background.js');
+const { createMessage } = globalThis.VoluModProtocol;
+
+// Deliver a message as if from the content script in a tab's frame, or from
+// the popup when no tab is given
+function send(type, fields = {}, tab = null, frameId = 0) {
+  const sender = tab ? { tab, frameId, url: tab.url } : {};
+  return new Promise(resolve => listeners.message(createMessage(type, fields), sender, resolve));
+}
+
+const lastInitState = (tabId) => sentToTabs
+  .filter(([id, message]) => id === tabId && message.type === 'INIT_STATE')
+  .map(([, message]) => message)
+  .pop();
+
+test('a reload keeps the tab\'s settings and tainted media origins', async () => {
+  const tab = { id: 11, url: 'https://a.example/watch' };
+  await send('TAB_CONNECTED', {}, tab);
+  await send('SET_BYPASS', { tabId: tab.id, bypassed: true });
+  await send('SET_PRESET', { tabId: tab.id, preset: 'speech' });
+  await send('MEDIA_FALLBACK', { mode: 'reload', mediaOrigin: 'https://cdn.example' }, tab);
+
+  await send('TAB_DISCONNECTED', {}, tab);
+  const unloaded = await send('GET_STATE', { tabId: tab.id, origin: 'https://a.example' });
+  assert.equal(unloaded.connected, false);
+
+  await send('TAB_CONNECTED', {}, tab);
+  const init = lastInitState(tab.id);
+  assert.equal(init.bypassed, true);
+  assert.equal(init.preset, 'speech');
+  assert.deepEqual(init.taintedOrigins, ['https://cdn.example']);
+
+  const reloaded = await send('GET_STATE', { tabId: tab.id, origin: 'https://a.example' });
+  assert.equal(reloaded.connected, true);
+  assert.equal(reloaded.fallback, null);
+});
+
+test('a subframe unloading leaves the tab connected', async () => {
+  const tab = { id: 12, url: 'https://a.example/' };
+  await send('TAB_CONNECTED', {}, tab);
+  await send('TAB_DISCONNECTED', {}, tab, 5);
+
+  const described = await send('GET_STATE', { tabId: tab.id, origin: 'https://a.example' });
+  assert.equal(described.connected, true);
+});
+
+test('connecting from another site starts afresh', async () => {
+  const tab = { id: 13, url: 'https://a.example/' };
+  await send('TAB_CONNECTED', {}, tab);
+  await send('MEDIA_FALLBACK', { mode: 'reload', mediaOrigin: 'https://cdn.example' }, tab);
+  await send('TAB_DISCONNECTED', {}, tab);
+
+  await send('TAB_CONNECTED', {}, { id: tab.id, url: 'https://b.example/' });
+  assert.deepEqual(lastInitState(tab.id).taintedOrigins, []);
+});
+
+test('closing the tab forgets it', async () => {
+  const tab = { id: 14, url: 'https://a.example/' };
+  await send('TAB_CONNECTED', {}, tab);
+  await send('SET_PRESET', { tabId: tab.id, preset: 'speech' });
+  await send('TAB_DISCONNECTED', {}, tab);
+  listeners.tabRemoved(tab.id);
+
+  // Back to the stored default
+  await send('TAB_CONNECTED', {}, tab);
+  assert.equal(lastInitState(tab.id).preset, 'custom-old');
+});
+
+test('custom presets saved by an older build are filled out on load', async () => {
+  const { presets } = await send('GET_PRESETS');
+  const custom = presets.filter(preset => !preset.builtin);
+  assert.equal(custom.length, 1);
+
+  const [preset] = custom;
+  assert.equal(preset.targetLufs, -18);
+  assert.equal(preset.crossoverHz.length, 2);
+  assert.equal(preset.bands.length, 3);
+  assert.ok(preset.eqGains.every(Number.isFinite));
+});
+
+test('stopping noise learning reports the profile a frame learned', async () => {
+  const tab = { id: 15, url: 'https://a.example/' };
+  const profile = { floorDb: -62, bands: [0.1, 0.2], frames: 40 };
+  await send('TAB_CONNECTED', {}, tab);
+  // The video plays in a subframe
+  await send('LEVELS_UPDATE', {
+    input: -20, output: -18, inputPeak: -6, outputPeak: -4, latency: 5,
+    gainReduction: 0, limiterReduction: 0, normalizerGain: 2,
+    loudness: null, contentClass: null, loudnessJumps: 0
+  }, tab, 3);
+
+  replyFromTab = (message, options) => message.type === 'STOP_NOISE_LEARN' && options.frameId === 3
+    ? { success: true, profile }
+    : { success: true, profile: null };
+  try {
+    const response = await send('STOP_NOISE_LEARN', { tabId: tab.id });
+    assert.deepEqual(response.profile, profile);
+  } finally {
+    replyFromTab = () => ({ success: true });
+  }
+});
+
+test('stopping noise learning with nothing heard reports no profile', async () => {
+  const tab = { id: 16, url: 'https://a.example/' };
+  await send('TAB_CONNECTED', {}, tab);
+
+  const response = await send('STOP_NOISE_LEARN', { tabId: tab.id });
+  assert.equal(response.profile, null);
+});
+
+test('popups hear about dialogue changes along with bypass and preset', async () => {
+  const tab = { id: 17, url: 'https://a.example/' };
+  await send('TAB_CONNECTED', {}, tab);
+  await send('SET_DIALOGUE', { tabId: tab.id, enabled: true });
+  await send('SET_BYPASS', { tabId: tab.id, bypassed: true });
+
+  const update = sentToPopup.filter(message => message.type === 'STATE_UPDATE' && message.tabId === tab.id).pop();
+  assert.equal(update.bypassed, true);
+  assert.equal(update.dialogue, true);
+});
+
+test('a custom preset can\'t have both mid/side and multiband on', async () => {
+  const { presets } = await send('SAVE_CUSTOM_PRESETS', {
+    customPresets: [
+      { id: 'custom-old', name: 'Old', targetLufs: -18 },
+      { id: 'custom-both', name: 'Both', midSide: true, multiband: true }
+    ]
+  });
+  const preset = presets.find(p => p.id === 'custom-both');
+  assert.equal(preset.multiband, true);
+  assert.equal(preset.midSide, false);
+});
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Normalizer Tests
+// Runs the compiled worklet module under Node: node --test browser/tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// What the AudioWorkletGlobalScope provides
+globalThis.sampleRate = 48000;
+globalThis.AudioWorkletProcessor = class {};
+globalThis.registerProcessor = () => {};
+
+const { Normalizer } = await import('../worklet/volumod-processor.js');
+
+const SAMPLE_RATE = 48000;
+const BLOCK = 128;
+const TARGET_LUFS = -14;
+
+const toDb = (gain) => 20 * Math.log10(gain);
+
+// Feed a stereo 1 kHz tone through the normalizer, one render quantum at a time
+function play(normalizer, seconds, amplitude = 0.05) {
+  const left = new Float32Array(BLOCK);
+  const right = new Float32Array(BLOCK);
+  const blocks = Math.round(seconds * SAMPLE_RATE / BLOCK);
+  let t = 0;
+  for (let b = 0; b < blocks; b++) {
+    for (let i = 0; i < BLOCK; i++, t++) {
+      left[i] = right[i] = amplitude * Math.sin(2 * Math.PI * 1000 * t / SAMPLE_RATE);
+    }
+    Normalizer.update(normalizer, [left, right], BLOCK);
+  }
+}
+
+// The tone's loudness as the normalizer measures it with nothing remembered
+function measureTone() {
+  const normalizer = Normalizer.make(SAMPLE_RATE);
+  play(normalizer, 10);
+  return normalizer.integratedLufs;
+}
+
+test('a remembered loudness sets the gain before anything is measured', () => {
+  const lufs = measureTone();
+  const normalizer = Normalizer.make(SAMPLE_RATE);
+  Normalizer.seed(normalizer, lufs);
+  play(normalizer, 0.01);
+
+  assert.ok(Math.abs(toDb(normalizer.currentGain) - (TARGET_LUFS - lufs)) < 0.1);
+});
+
+test('corrupt remembered loudness is ignored', () => {
+  for (const lufs of [NaN, Infinity, -Infinity, 20, -200]) {
+    const normalizer = Normalizer.make(SAMPLE_RATE);
+    Normalizer.seed(normalizer, lufs);
+    assert.equal(normalizer.seedLufs, -Infinity, `seed ${lufs}`);
+    assert.equal(normalizer.steadyGain, 1, `seed ${lufs}`);
+
+    play(normalizer, 2);
+    assert.ok(Number.isFinite(normalizer.currentGain), `seed ${lufs}`);
+  }
+});
+
+test('a remembered loudness the track does not match is dropped', () => {
+  const lufs = measureTone();
+  const normalizer = Normalizer.make(SAMPLE_RATE);
+  Normalizer.seed(normalizer, lufs + 12);
+  play(normalizer, 8);
+
+  assert.equal(normalizer.seedLufs, -Infinity);
+  assert.ok(Math.abs(toDb(normalizer.currentGain) - (TARGET_LUFS - lufs)) < 0.5);
+});
+
+test('a remembered loudness the track matches is kept', () => {
+  const lufs = measureTone();
+  const normalizer = Normalizer.make(SAMPLE_RATE);
+  Normalizer.seed(normalizer, lufs + 1);
+  play(normalizer, 8);
+
+  assert.equal(normalizer.seedLufs, lufs + 1);
+});
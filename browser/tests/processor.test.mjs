@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Processor Tests
+// Runs the compiled worklet module under Node: node --test browser/tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// What the AudioWorkletGlobalScope provides
+globalThis.sampleRate = 48000;
+globalThis.AudioWorkletProcessor = class {};
+globalThis.registerProcessor = () => {};
+
+const { Limiter, VoluModProcessor } = await import('../worklet/volumod-processor.js');
+
+const SAMPLE_RATE = 48000;
+
+function makeProcessor() {
+  return VoluModProcessor.make({ postMessage() {} });
+}
+
+test('a preset sets the limiter lookahead', () => {
+  const processor = makeProcessor();
+  const before = Limiter.latency(processor.limiter);
+
+  VoluModProcessor.handleMessage(processor, { type: 'SET_PRESET', lookaheadMs: 20 });
+  assert.equal(Limiter.latency(processor.limiter) - before, (20 - 5) * SAMPLE_RATE / 1000);
+});
+
+test('a preset without a lookahead leaves it alone', () => {
+  const processor = makeProcessor();
+  VoluModProcessor.handleMessage(processor, { type: 'SET_PRESET', lookaheadMs: 20 });
+  const set = Limiter.latency(processor.limiter);
+
+  VoluModProcessor.handleMessage(processor, { type: 'SET_PRESET', targetLufs: -16 });
+  assert.equal(Limiter.latency(processor.limiter), set);
+});
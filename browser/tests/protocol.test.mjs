@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Protocol Tests
+// Holds the worklet processor to the message schemas in protocol.js, which
+// it can't load itself: node --test browser/tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+// What the AudioWorkletGlobalScope provides
+globalThis.sampleRate = 48000;
+globalThis.AudioWorkletProcessor = class {};
+globalThis.registerProcessor = () => {};
+
+await import('../protocol.js');
+const { VoluModProcessor } = await import('../worklet/volumod-processor.js');
+const { PROCESSOR_COMMANDS, PROCESSOR_MESSAGES, validateProcessorMessage } = globalThis.VoluModProtocol;
+
+const BLOCK = 128;
+const source = (path) => readFile(new URL(path, import.meta.url), 'utf8');
+const matches = (text, pattern) => [...new Set([...text.matchAll(pattern)].map(match => match[1]))].sort();
+
+// Play a stereo tone through a processor, one render quantum at a time
+function play(processor, blocks) {
+  const channels = () => [new Float32Array(BLOCK), new Float32Array(BLOCK)];
+  for (let b = 0; b < blocks; b++) {
+    const input = channels();
+    input.forEach(channel => channel.forEach((_, i) => {
+      channel[i] = 0.1 * Math.sin(2 * Math.PI * 440 * (b * BLOCK + i) / 48000);
+    }));
+    VoluModProcessor.process(processor, [input], [channels()]);
+  }
+}
+
+test('everything the processor posts matches its schema', () => {
+  const posted = [];
+  const processor = VoluModProcessor.make({ postMessage: (message) => posted.push(message) });
+
+  play(processor, 40);
+  VoluModProcessor.handleMessage(processor, { type: 'START_NOISE_LEARN' });
+  play(processor, 40);
+  VoluModProcessor.handleMessage(processor, { type: 'STOP_NOISE_LEARN' });
+  // Nothing learned is posted as null
+  VoluModProcessor.handleMessage(processor, { type: 'STOP_NOISE_LEARN' });
+
+  posted.forEach((message) => {
+    const error = validateProcessorMessage(message);
+    assert.equal(error, null, error && error.message);
+  });
+  assert.deepEqual([...new Set(posted.map(m => m.type))].sort(), Object.keys(PROCESSOR_MESSAGES).sort());
+});
+
+test('the processor posts the message types protocol.js lists', async () => {
+  const processor = await source('../rescript/src/VoluModProcessor.res');
+  assert.deepEqual(matches(processor, /type_: "([A-Z_]+)"/g), Object.keys(PROCESSOR_MESSAGES).sort());
+});
+
+test('the processor handles the commands protocol.js lists', async () => {
+  const processor = await source('../rescript/src/VoluModProcessor.res');
+  const start = processor.indexOf('let handleMessage');
+  const handleMessage = processor.slice(start, processor.indexOf('\n  let ', start));
+  assert.deepEqual(matches(handleMessage, /\| "([A-Z_]+)" =>/g), [...PROCESSOR_COMMANDS].sort());
+});
+
+test('the content script only sends commands protocol.js lists', async () => {
+  const content = await source('../content.js');
+  const sent = matches(content, /(?:port\.postMessage|postToAllProcessors)\(\{\s*type: '([A-Z_]+)'/g);
+  assert.ok(sent.length > 0);
+  sent.forEach(type => assert.ok(PROCESSOR_COMMANDS.includes(type), `${type} is not a processor command`));
+});
@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MPL-2.0
+// Copyright (c) Jonathan D.A. Jewell <j.d.a.jewell@open.ac.uk>
+// VoluMod Web Audio Hook
+// Runs in the page's main world on sites that opt in. Connections made to an
+// AudioContext's destination are routed through a VoluMod processor instead,
+// so games, web DAWs and players with their own audio graphs are processed too.
+//
+// The content script owns settings and metering; the two talk over
+// window.postMessage (see PAGE_SOURCE/CONTENT_SOURCE).
+
+(function() {
+  'use strict';
+
+  if (window.__volumod_hooked || typeof AudioNode === 'undefined') return;
+  window.__volumod_hooked = true;
+
+  const PAGE_SOURCE = 'volumod-page';
+  const CONTENT_SOURCE = 'volumod-content';
+
+  const nativeConnect = AudioNode.prototype.connect;
+  const nativeDisconnect = AudioNode.prototype.disconnect;
+
+  // One entry per hooked context: { id, context, input, processor }
+  const entries = new Map();
+  const entryByContext = new WeakMap();
+  let nextId = 1;
+
+  // Extension URL of the processor module, sent by the content script
+  let workletUrl = null;
+
+  function post(message) {
+    window.postMessage({ source: PAGE_SOURCE, ...message }, '*');
+  }
+
+  function isRealtimeDestination(node) {
+    return node instanceof AudioDestinationNode &&
+      !(typeof OfflineAudioContext !== 'undefined' && node.context instanceof OfflineAudioContext);
+  }
+
+  // The page's nodes connect to this gain node instead of the destination.
+  // Until the processor is ready it passes straight through.
+  function getEntry(context) {
+    let entry = entryByContext.get(context);
+    if (entry) return entry;
+
+    const input = context.createGain();
+    nativeConnect.call(input, context.destination);
+
+    entry = { id: nextId++, context, input, processor: null, loading: false };
+    entryByContext.set(context, entry);
+    entries.set(entry.id, entry);
+
+    context.addEventListener('statechange', () => {
+      if (context.state !== 'closed') return;
+      entries.delete(entry.id);
+      post({ type: 'PROCESSOR_REMOVED', id: entry.id });
+    });
+
+    insertProcessor(entry);
+    return entry;
+  }
+
+  async function insertProcessor(entry) {
+    if (!workletUrl || entry.processor || entry.loading) return;
+    entry.loading = true;
+
+    try {
+      await entry.context.audioWorklet.addModule(workletUrl);
+      const processor = new AudioWorkletNode(entry.context, 'volumod-processor');
+      processor.port.onmessage = (e) => {
+        post({ type: 'PROCESSOR_MESSAGE', id: entry.id, data: e.data });
+      };
+
+      nativeDisconnect.call(entry.input);
+      nativeConnect.call(entry.input, processor);
+      nativeConnect.call(processor, entry.context.destination);
+      entry.processor = processor;
+
+      // The content script answers with the tab's settings
+      post({ type: 'PROCESSOR_ADDED', id: entry.id });
+    } catch (e) {
+      // The page's CSP can refuse the worklet; audio keeps playing unprocessed
+      console.error('VoluMod: Failed to hook AudioContext', e);
+    } finally {
+      entry.loading = false;
+    }
+  }
+
+  AudioNode.prototype.connect = function(destination, ...args) {
+    if (isRealtimeDestination(destination)) {
+      nativeConnect.call(this, getEntry(destination.context).input, ...args);
+      // connect() returns its destination so calls can be chained
+      return destination;
+    }
+    return nativeConnect.call(this, destination, ...args);
+  };
+
+  AudioNode.prototype.disconnect = function(destination, ...args) {
+    if (isRealtimeDestination(destination)) {
+      const entry = entryByContext.get(destination.context);
+      if (entry) return nativeDisconnect.call(this, entry.input, ...args);
+    }
+    return nativeDisconnect.call(this, ...arguments);
+  };
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || !e.data || e.data.source !== CONTENT_SOURCE) return;
+    const message = e.data;
+
+    switch (message.type) {
+      case 'CONTENT_READY':
+        post({ type: 'HOOK_READY' });
+        break;
+
+      case 'WORKLET_URL':
+        if (workletUrl) break;
+        workletUrl = message.url;
+        entries.forEach(insertProcessor);
+        break;
+
+      case 'PROCESSOR_COMMAND': {
+        const entry = entries.get(message.id);
+        if (entry && entry.processor) entry.processor.port.postMessage(message.data);
+        break;
+      }
+    }
+  });
+
+  post({ type: 'HOOK_READY' });
+})();
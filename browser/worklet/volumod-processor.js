@@ -0,0 +1,2255 @@
+// Generated by ReScript, PLEASE EDIT WITH CARE
+
+
+let $$Float32Array = {};
+
+let $$Float64Array = {};
+
+let $$Int32Array = {};
+
+function dbToLinear(db) {
+  return Math.pow(10.0, db / 20.0);
+}
+
+function linearToDb(linear) {
+  if (linear <= 0.0) {
+    return -120.0;
+  } else {
+    return 20.0 * Math.log10(linear);
+  }
+}
+
+function clamp(value, minVal, maxVal) {
+  return Math.max(minVal, Math.min(maxVal, value));
+}
+
+function smoothCoefficient(timeMs, sampleRate) {
+  if (timeMs <= 0.0) {
+    return 1.0;
+  }
+  let samples = timeMs * sampleRate / 1000.0;
+  return 1.0 - Math.exp(-1.0 / samples);
+}
+
+let DSP = {
+  dbToLinear: dbToLinear,
+  linearToDb: linearToDb,
+  clamp: clamp,
+  smoothCoefficient: smoothCoefficient
+};
+
+function make(attackMs, releaseMs, sampleRate) {
+  return {
+    envelope: 0.0,
+    attackCoef: smoothCoefficient(attackMs, sampleRate),
+    releaseCoef: smoothCoefficient(releaseMs, sampleRate)
+  };
+}
+
+function process(ef, input) {
+  let absInput = Math.abs(input);
+  if (absInput > ef.envelope) {
+    ef.envelope = ef.envelope + ef.attackCoef * (absInput - ef.envelope);
+  } else {
+    ef.envelope = ef.envelope + ef.releaseCoef * (absInput - ef.envelope);
+  }
+  return ef.envelope;
+}
+
+let EnvelopeFollower = {
+  make: make,
+  process: process
+};
+
+function make$1() {
+  return {
+    b0: 1.0,
+    b1: 0.0,
+    b2: 0.0,
+    a1: 0.0,
+    a2: 0.0,
+    x1: 0.0,
+    x2: 0.0,
+    y1: 0.0,
+    y2: 0.0
+  };
+}
+
+function configure(f, filterType, freq, sampleRate, q, gainDb) {
+  let w0 = 2.0 * Math.PI * Math.min(freq, sampleRate * 0.49) / sampleRate;
+  let cosW0 = Math.cos(w0);
+  let sinW0 = Math.sin(w0);
+  let alpha = sinW0 / (2.0 * q);
+  let a = dbToLinear(gainDb / 2.0);
+  let match;
+  switch (filterType) {
+    case "LowPass" :
+      match = [
+        (1.0 - cosW0) / 2.0,
+        1.0 - cosW0,
+        (1.0 - cosW0) / 2.0,
+        1.0 + alpha,
+        -2.0 * cosW0,
+        1.0 - alpha
+      ];
+      break;
+    case "HighPass" :
+      match = [
+        (1.0 + cosW0) / 2.0,
+        - (1.0 + cosW0),
+        (1.0 + cosW0) / 2.0,
+        1.0 + alpha,
+        -2.0 * cosW0,
+        1.0 - alpha
+      ];
+      break;
+    case "BandPass" :
+      match = [
+        alpha,
+        0.0,
+        - alpha,
+        1.0 + alpha,
+        -2.0 * cosW0,
+        1.0 - alpha
+      ];
+      break;
+    case "Notch" :
+      match = [
+        1.0,
+        -2.0 * cosW0,
+        1.0,
+        1.0 + alpha,
+        -2.0 * cosW0,
+        1.0 - alpha
+      ];
+      break;
+    case "Peak" :
+      match = [
+        1.0 + alpha * a,
+        -2.0 * cosW0,
+        1.0 - alpha * a,
+        1.0 + alpha / a,
+        -2.0 * cosW0,
+        1.0 - alpha / a
+      ];
+      break;
+    case "LowShelf" :
+      let sqrtA2Alpha = 2.0 * Math.sqrt(a) * alpha;
+      match = [
+        a * (a + 1.0 - (a - 1.0) * cosW0 + sqrtA2Alpha),
+        2.0 * a * (a - 1.0 - (a + 1.0) * cosW0),
+        a * (a + 1.0 - (a - 1.0) * cosW0 - sqrtA2Alpha),
+        a + 1.0 + (a - 1.0) * cosW0 + sqrtA2Alpha,
+        -2.0 * (a - 1.0 + (a + 1.0) * cosW0),
+        a + 1.0 + (a - 1.0) * cosW0 - sqrtA2Alpha
+      ];
+      break;
+    case "HighShelf" :
+      let sqrtA2Alpha$1 = 2.0 * Math.sqrt(a) * alpha;
+      match = [
+        a * (a + 1.0 + (a - 1.0) * cosW0 + sqrtA2Alpha$1),
+        -2.0 * a * (a - 1.0 + (a + 1.0) * cosW0),
+        a * (a + 1.0 + (a - 1.0) * cosW0 - sqrtA2Alpha$1),
+        a + 1.0 - (a - 1.0) * cosW0 + sqrtA2Alpha$1,
+        2.0 * (a - 1.0 - (a + 1.0) * cosW0),
+        a + 1.0 - (a - 1.0) * cosW0 - sqrtA2Alpha$1
+      ];
+      break;
+  }
+  let a0 = match[3];
+  f.b0 = match[0] / a0;
+  f.b1 = match[1] / a0;
+  f.b2 = match[2] / a0;
+  f.a1 = match[4] / a0;
+  f.a2 = match[5] / a0;
+}
+
+function process$1(f, input) {
+  let output = f.b0 * input + f.b1 * f.x1 + f.b2 * f.x2 - f.a1 * f.y1 - f.a2 * f.y2;
+  f.x2 = f.x1;
+  f.x1 = input;
+  f.y2 = f.y1;
+  f.y1 = output;
+  return output;
+}
+
+let BiquadFilter = {
+  make: make$1,
+  configure: configure,
+  process: process$1
+};
+
+function make$2(sampleRate) {
+  let window = new Float32Array(1024);
+  let windowPower = 0.0;
+  for (let i = 0; i <= 1023; ++i) {
+    window[i] = 0.5 * (1.0 - Math.cos(2.0 * Math.PI * i / 1024));
+    let w = window[i];
+    windowPower = windowPower + w * w;
+  }
+  let bitRev = new Int32Array(1024);
+  for (let i$1 = 0; i$1 <= 1023; ++i$1) {
+    let r = 0;
+    for (let b = 0; b <= 9; ++b) {
+      r = r | (((i$1 >>> b) & 1) << (9 - b | 0));
+    }
+    bitRev[i$1] = r;
+  }
+  let cosTable = new Float32Array(512);
+  let sinTable = new Float32Array(512);
+  for (let i$2 = 0; i$2 <= 511; ++i$2) {
+    let angle = 2.0 * Math.PI * i$2 / 1024;
+    cosTable[i$2] = Math.cos(angle);
+    sinTable[i$2] = Math.sin(angle);
+  }
+  let binBand = new Int32Array(513);
+  let bandBins = new Float32Array(16);
+  let maxFreq = sampleRate / 2.0;
+  for (let k = 0; k <= 512; ++k) {
+    let freq = k * sampleRate / 1024;
+    let band;
+    if (freq >= 100.0) {
+      let ratio = Math.log(freq / 100.0) / Math.log(maxFreq / 100.0);
+      band = Math.min(15, Math.floor(ratio * 16) | 0);
+    } else {
+      band = 0;
+    }
+    binBand[k] = band;
+    bandBins[band] = bandBins[band] + 1.0;
+  }
+  let framesPerSec = sampleRate / 256;
+  let bandGains = new Float32Array(16);
+  bandGains.fill(1.0);
+  return {
+    enabled: false,
+    learning: false,
+    profile: undefined,
+    window: window,
+    olaScale: 256 / windowPower,
+    bitRev: bitRev,
+    cosTable: cosTable,
+    sinTable: sinTable,
+    binBand: binBand,
+    bandBins: bandBins,
+    attackCoef: 1.0 - Math.exp(-1.0 / (5.0 * framesPerSec / 1000.0)),
+    releaseCoef: 1.0 - Math.exp(-1.0 / (50.0 * framesPerSec / 1000.0)),
+    bandGains: bandGains,
+    bandPower: new Float32Array(16),
+    channels: [],
+    hopPos: 0
+  };
+}
+
+function active(nr) {
+  if (nr.learning) {
+    return true;
+  } else if (nr.enabled) {
+    return nr.profile !== undefined;
+  } else {
+    return false;
+  }
+}
+
+function startLearning(nr) {
+  nr.learning = true;
+  nr.profile = undefined;
+}
+
+function stopLearning(nr) {
+  nr.learning = false;
+  return nr.profile;
+}
+
+function setProfile(nr, profile) {
+  if ((profile == null) || !Array.isArray(profile.bands) || profile.bands.length !== 16) {
+    nr.profile = undefined;
+    return;
+  }
+  let frames = profile.frames;
+  nr.profile = {
+    floorDb: profile.floorDb,
+    bands: Float32Array.from(profile.bands),
+    frames: frames !== undefined ? frames : 0
+  };
+}
+
+function ensureChannels(nr, count) {
+  while (nr.channels.length < count) {
+    nr.channels.push({
+      input: new Float32Array(1024),
+      output: new Float32Array(1024),
+      re: new Float32Array(1024),
+      im: new Float32Array(1024)
+    });
+  };
+}
+
+function fft(nr, re, im, inverse) {
+  for (let i = 0; i <= 1023; ++i) {
+    let j = nr.bitRev[i];
+    if (j > i) {
+      let t = re[i];
+      re[i] = re[j];
+      re[j] = t;
+      let t$1 = im[i];
+      im[i] = im[j];
+      im[j] = t$1;
+    }
+  }
+  let sign = inverse ? 1.0 : -1.0;
+  let size = 2;
+  let step = 512;
+  while (size <= 1024) {
+    let half = (size >>> 1);
+    let start = 0;
+    while (start < 1024) {
+      for (let k = 0; k < half; ++k) {
+        let wr = nr.cosTable[k * step | 0];
+        let wi = sign * nr.sinTable[k * step | 0];
+        let a = start + k | 0;
+        let b = a + half | 0;
+        let tr = re[b] * wr - im[b] * wi;
+        let ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] = re[a] + tr;
+        im[a] = im[a] + ti;
+      }
+      start = start + size | 0;
+    };
+    size = (size << 1);
+    step = (step >>> 1);
+  };
+  if (!inverse) {
+    return;
+  }
+  for (let i$1 = 0; i$1 <= 1023; ++i$1) {
+    re[i$1] = re[i$1] / 1024;
+    im[i$1] = im[i$1] / 1024;
+  }
+}
+
+function bandDb(nr, b) {
+  return 10.0 * Math.log10(nr.bandPower[b] + 1e-12);
+}
+
+function learnFrame(nr, totalPower) {
+  if (totalPower <= 0.0) {
+    return;
+  }
+  let floorDb = 10.0 * Math.log10(totalPower);
+  let profile = nr.profile;
+  if (profile !== undefined) {
+    profile.floorDb = profile.floorDb + 0.1 * (floorDb - profile.floorDb);
+    for (let b = 0; b <= 15; ++b) {
+      let current = profile.bands[b];
+      profile.bands[b] = current + 0.1 * (bandDb(nr, b) - current);
+    }
+    profile.frames = profile.frames + 1 | 0;
+    return;
+  }
+  let bands = new Float32Array(16);
+  for (let b$1 = 0; b$1 <= 15; ++b$1) {
+    bands[b$1] = bandDb(nr, b$1);
+  }
+  nr.profile = {
+    floorDb: floorDb,
+    bands: bands,
+    frames: 1
+  };
+}
+
+function updateGains(nr) {
+  let threshold = 12.0 / 2.0;
+  for (let b = 0; b <= 15; ++b) {
+    let profile = nr.profile;
+    let target;
+    if (profile !== undefined) {
+      if (nr.enabled) {
+        let deficit = profile.bands[b] + threshold - bandDb(nr, b);
+        target = deficit > 0.0 ? dbToLinear(- Math.min(deficit, 12.0)) : 1.0;
+      } else {
+        target = 1.0;
+      }
+    } else {
+      target = 1.0;
+    }
+    let gain = nr.bandGains[b];
+    let coef = target < gain ? nr.attackCoef : nr.releaseCoef;
+    nr.bandGains[b] = gain + coef * (target - gain);
+  }
+}
+
+function processFrame(nr, channelCount) {
+  nr.bandPower.fill(0.0);
+  let totalPower = 0.0;
+  for (let ch = 0; ch < channelCount; ++ch) {
+    let c = nr.channels[ch];
+    for (let i = 0; i <= 1023; ++i) {
+      c.re[i] = c.input[i] * nr.window[i];
+      c.im[i] = 0.0;
+    }
+    fft(nr, c.re, c.im, false);
+    for (let k = 0; k <= 512; ++k) {
+      let re = c.re[k];
+      let im = c.im[k];
+      let power = re * re + im * im;
+      let band = nr.binBand[k];
+      nr.bandPower[band] = nr.bandPower[band] + power;
+      totalPower = totalPower + power;
+    }
+  }
+  for (let b = 0; b <= 15; ++b) {
+    nr.bandPower[b] = nr.bandPower[b] / (nr.bandBins[b] * channelCount);
+  }
+  let totalPower$1 = totalPower / (513 * channelCount);
+  if (nr.learning) {
+    learnFrame(nr, totalPower$1);
+  }
+  updateGains(nr);
+  for (let ch$1 = 0; ch$1 < channelCount; ++ch$1) {
+    let c$1 = nr.channels[ch$1];
+    for (let k$1 = 0; k$1 <= 512; ++k$1) {
+      let g = nr.bandGains[nr.binBand[k$1]];
+      c$1.re[k$1] = c$1.re[k$1] * g;
+      c$1.im[k$1] = c$1.im[k$1] * g;
+      if (k$1 > 0 && k$1 < 512) {
+        c$1.re[1024 - k$1 | 0] = c$1.re[k$1];
+        c$1.im[1024 - k$1 | 0] = - c$1.im[k$1];
+      }
+    }
+    fft(nr, c$1.re, c$1.im, true);
+    c$1.output.copyWithin(0, 256);
+    c$1.output.fill(0.0, 768);
+    for (let i$1 = 0; i$1 <= 1023; ++i$1) {
+      c$1.output[i$1] = c$1.output[i$1] + c$1.re[i$1] * nr.window[i$1] * nr.olaScale;
+    }
+    c$1.input.copyWithin(0, 256);
+  }
+}
+
+function process$2(nr, input, output) {
+  let channelCount = input.length;
+  let frames = input[0].length;
+  let tail = 768;
+  ensureChannels(nr, channelCount);
+  for (let i = 0; i < frames; ++i) {
+    for (let ch = 0; ch < channelCount; ++ch) {
+      let c = nr.channels[ch];
+      c.input[tail + nr.hopPos | 0] = input[ch][i];
+      output[ch][i] = c.output[nr.hopPos];
+    }
+    nr.hopPos = nr.hopPos + 1 | 0;
+    if (nr.hopPos === 256) {
+      processFrame(nr, channelCount);
+      nr.hopPos = 0;
+    }
+  }
+}
+
+let NoiseReducer = {
+  fftSize: 1024,
+  bins: 512,
+  fftBits: 10,
+  hop: 256,
+  bandCount: 16,
+  reductionDb: 12.0,
+  updateRate: 0.1,
+  make: make$2,
+  active: active,
+  latency: 1024,
+  startLearning: startLearning,
+  stopLearning: stopLearning,
+  setProfile: setProfile,
+  ensureChannels: ensureChannels,
+  fft: fft,
+  bandDb: bandDb,
+  learnFrame: learnFrame,
+  updateGains: updateGains,
+  processFrame: processFrame,
+  process: process$2
+};
+
+function make$3(sampleRate) {
+  let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let vh = dbToLinear(3.999843853973347);
+  let vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1.0 + k / 0.7071752369554196 + k * k;
+  let shelf_b0 = (vh + vb * k / 0.7071752369554196 + k * k) / a0;
+  let shelf_b1 = 2.0 * (k * k - vh) / a0;
+  let shelf_b2 = (vh - vb * k / 0.7071752369554196 + k * k) / a0;
+  let shelf_a1 = 2.0 * (k * k - 1.0) / a0;
+  let shelf_a2 = (1.0 - k / 0.7071752369554196 + k * k) / a0;
+  let shelf = {
+    b0: shelf_b0,
+    b1: shelf_b1,
+    b2: shelf_b2,
+    a1: shelf_a1,
+    a2: shelf_a2
+  };
+  let k$1 = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  let a0$1 = 1.0 + k$1 / 0.5003270373238773 + k$1 * k$1;
+  let highPass_a1 = 2.0 * (k$1 * k$1 - 1.0) / a0$1;
+  let highPass_a2 = (1.0 - k$1 / 0.5003270373238773 + k$1 * k$1) / a0$1;
+  let highPass = {
+    b0: 1.0,
+    b1: -2.0,
+    b2: 1.0,
+    a1: highPass_a1,
+    a2: highPass_a2
+  };
+  return {
+    subBlockSize: Math.round(sampleRate * 0.1) | 0,
+    shelf: shelf,
+    highPass: highPass,
+    histogramEnergy: new Float64Array(800),
+    histogramCount: new Float64Array(800),
+    channels: [],
+    subBlocks: new Float64Array(30),
+    subBlockSum: 0.0,
+    subBlockFrames: 0,
+    subBlockIndex: 0,
+    subBlockCount: 0,
+    gatedEnergy: 0.0,
+    gatedCount: 0,
+    windowBlocks: 0,
+    windowEnergies: new Float64Array(0),
+    windowIndex: 0,
+    windowCount: 0,
+    momentary: - Infinity,
+    shortTerm: - Infinity
+  };
+}
+
+function restartWindow(m) {
+  m.subBlockSum = 0.0;
+  m.subBlockFrames = 0;
+  m.subBlocks.fill(0.0);
+  m.subBlockIndex = 0;
+  m.subBlockCount = 0;
+  m.momentary = - Infinity;
+  m.shortTerm = - Infinity;
+}
+
+function resetIntegration(m) {
+  m.histogramEnergy.fill(0.0);
+  m.histogramCount.fill(0.0);
+  m.gatedEnergy = 0.0;
+  m.gatedCount = 0;
+  m.windowIndex = 0;
+  m.windowCount = 0;
+}
+
+function reset(m) {
+  m.channels.forEach(filters => {
+    filters.fill(0.0);
+  });
+  restartWindow(m);
+  resetIntegration(m);
+}
+
+function setWindow(m, seconds) {
+  m.windowBlocks = seconds > 0.0 ? Math.round(seconds * 10.0) | 0 : 0;
+  m.windowEnergies = new Float64Array(m.windowBlocks);
+  resetIntegration(m);
+}
+
+function channelWeight(ch, count) {
+  if (count !== 6) {
+    return 1.0;
+  } else if (ch === 3) {
+    return 0.0;
+  } else if (ch >= 4) {
+    return 1.41;
+  } else {
+    return 1.0;
+  }
+}
+
+function ensureChannels$1(m, count) {
+  while (m.channels.length < count) {
+    m.channels.push(new Float64Array(8));
+  };
+}
+
+function weighted(f, s, x, offset) {
+  let y = f.b0 * x + f.b1 * s[offset] + f.b2 * s[offset + 1 | 0] - f.a1 * s[offset + 2 | 0] - f.a2 * s[offset + 3 | 0];
+  s[offset + 1 | 0] = s[offset];
+  s[offset] = x;
+  s[offset + 3 | 0] = s[offset + 2 | 0];
+  s[offset + 2 | 0] = y;
+  return y;
+}
+
+function toLufs(energy) {
+  if (energy > 0.0) {
+    return -0.691 + 10.0 * Math.log10(energy);
+  } else {
+    return - Infinity;
+  }
+}
+
+function windowEnergy(m, blocks) {
+  let sum = 0.0;
+  for (let i = 1; i <= blocks; ++i) {
+    let idx = m.subBlockIndex - i | 0;
+    let idx$1 = idx < 0 ? idx + 30 | 0 : idx;
+    sum = sum + m.subBlocks[idx$1];
+  }
+  return sum / blocks;
+}
+
+function countGatingBlock(m, energy, count) {
+  let lufs = toLufs(energy);
+  if (lufs < -70.0) {
+    return;
+  }
+  let bin = Math.min(799, Math.floor((lufs - -70.0) * 10.0) | 0);
+  m.histogramEnergy[bin] = m.histogramEnergy[bin] + count * energy;
+  m.histogramCount[bin] = m.histogramCount[bin] + count;
+  m.gatedEnergy = m.gatedEnergy + count * energy;
+  m.gatedCount = m.gatedCount + count | 0;
+}
+
+function addGatingBlock(m, energy) {
+  if (m.windowBlocks > 0) {
+    if (m.windowCount === m.windowBlocks) {
+      countGatingBlock(m, m.windowEnergies[m.windowIndex], -1);
+    } else {
+      m.windowCount = m.windowCount + 1 | 0;
+    }
+    m.windowEnergies[m.windowIndex] = energy;
+    m.windowIndex = (m.windowIndex + 1 | 0) === m.windowBlocks ? 0 : m.windowIndex + 1 | 0;
+  }
+  countGatingBlock(m, energy, 1);
+}
+
+function endSubBlock(m) {
+  m.subBlocks[m.subBlockIndex] = m.subBlockSum / m.subBlockFrames;
+  m.subBlockIndex = (m.subBlockIndex + 1 | 0) === 30 ? 0 : m.subBlockIndex + 1 | 0;
+  m.subBlockCount = m.subBlockCount + 1 | 0;
+  m.subBlockSum = 0.0;
+  m.subBlockFrames = 0;
+  if (m.subBlockCount >= 4) {
+    let energy = windowEnergy(m, 4);
+    m.momentary = toLufs(energy);
+    addGatingBlock(m, energy);
+  }
+  if (m.subBlockCount >= 30) {
+    m.shortTerm = toLufs(windowEnergy(m, 30));
+    return;
+  }
+}
+
+function process$3(m, input) {
+  let count = input.length;
+  let frames = input[0].length;
+  ensureChannels$1(m, count);
+  for (let i = 0; i < frames; ++i) {
+    let energy = 0.0;
+    for (let ch = 0; ch < count; ++ch) {
+      let weight = channelWeight(ch, count);
+      if (weight !== 0.0) {
+        let s = m.channels[ch];
+        let x = input[ch][i];
+        let y = weighted(m.highPass, s, weighted(m.shelf, s, x, 0), 4);
+        energy = energy + weight * y * y;
+      }
+    }
+    m.subBlockSum = m.subBlockSum + energy;
+    m.subBlockFrames = m.subBlockFrames + 1 | 0;
+    if (m.subBlockFrames === m.subBlockSize) {
+      endSubBlock(m);
+    }
+  }
+}
+
+function integrated(m) {
+  if (m.gatedCount === 0) {
+    return - Infinity;
+  }
+  let threshold = toLufs(m.gatedEnergy / m.gatedCount) + -10.0;
+  let firstBin = Math.max(0, Math.ceil((threshold - -70.0) * 10.0) | 0);
+  let energy = 0.0;
+  let count = 0.0;
+  for (let bin = firstBin; bin <= 799; ++bin) {
+    energy = energy + m.histogramEnergy[bin];
+    count = count + m.histogramCount[bin];
+  }
+  if (count > 0.0) {
+    return toLufs(energy / count);
+  } else {
+    return - Infinity;
+  }
+}
+
+let LoudnessMeter = {
+  momentaryBlocks: 4,
+  shortTermBlocks: 30,
+  absoluteGate: -70.0,
+  relativeGate: -10.0,
+  histogramMin: -70.0,
+  histogramBins: 800,
+  make: make$3,
+  restartWindow: restartWindow,
+  resetIntegration: resetIntegration,
+  reset: reset,
+  setWindow: setWindow,
+  channelWeight: channelWeight,
+  ensureChannels: ensureChannels$1,
+  weighted: weighted,
+  toLufs: toLufs,
+  windowEnergy: windowEnergy,
+  countGatingBlock: countGatingBlock,
+  addGatingBlock: addGatingBlock,
+  endSubBlock: endSubBlock,
+  process: process$3,
+  integrated: integrated
+};
+
+function make$4(sampleRate) {
+  return {
+    enabled: true,
+    thresholdDb: 10.0,
+    baselineLufs: - Infinity,
+    active: false,
+    cutDb: 0.0,
+    gain: 1.0,
+    jumps: 0,
+    attackCoef: smoothCoefficient(20.0, sampleRate),
+    releaseCoef: smoothCoefficient(500.0, sampleRate)
+  };
+}
+
+function setEnabled(g, enabled) {
+  g.enabled = enabled;
+  if (!enabled) {
+    g.active = false;
+    g.cutDb = 0.0;
+    return;
+  }
+}
+
+function update(g, momentary, shortTerm) {
+  if (!(g.enabled && momentary > g.baselineLufs - 20.0)) {
+    return;
+  }
+  if (g.baselineLufs === - Infinity) {
+    g.baselineLufs = shortTerm;
+    return;
+  }
+  let excess = momentary - g.baselineLufs;
+  if (!g.active && excess > g.thresholdDb) {
+    g.active = true;
+    g.jumps = g.jumps + 1 | 0;
+  }
+  if (g.active && excess < 1.0) {
+    g.active = false;
+  }
+  if (g.active) {
+    g.cutDb = - Math.min(excess, 24.0);
+    let rate = 1.0 - Math.exp(- 0.1 / 20.0);
+    g.baselineLufs = g.baselineLufs + rate * (momentary - g.baselineLufs);
+    return;
+  }
+  g.cutDb = 0.0;
+  let rate$1 = 1.0 - Math.exp(- 0.1 / 10.0);
+  g.baselineLufs = g.baselineLufs + rate$1 * (shortTerm - g.baselineLufs);
+}
+
+function step(g, frames) {
+  let target = dbToLinear(g.cutDb);
+  if (g.gain === target) {
+    return;
+  }
+  let coef = target < g.gain ? g.attackCoef : g.releaseCoef;
+  let blockSmooth = 1.0 - Math.pow(1.0 - coef, frames);
+  let gain = g.gain + blockSmooth * (target - g.gain);
+  g.gain = Math.abs(target - gain) < 0.00001 ? target : gain;
+}
+
+let JumpGuard = {
+  baselineSeconds: 10.0,
+  handoffSeconds: 20.0,
+  settledDb: 1.0,
+  gapDb: 20.0,
+  maxCutDb: 24.0,
+  attackMs: 20.0,
+  releaseMs: 500.0,
+  blockSeconds: 0.1,
+  make: make$4,
+  setEnabled: setEnabled,
+  update: update,
+  step: step
+};
+
+function make$5(sampleRate) {
+  return {
+    enabled: true,
+    targetLufs: -14.0,
+    maxGainDb: 12.0,
+    minGainDb: -24.0,
+    currentGain: 1.0,
+    steadyGain: 1.0,
+    guard: make$4(sampleRate),
+    meter: make$3(sampleRate),
+    integratedLufs: - Infinity,
+    seedLufs: - Infinity,
+    gainSmooth: smoothCoefficient(100.0, sampleRate)
+  };
+}
+
+function steeringLoudness(n, measured) {
+  if (n.seedLufs === - Infinity) {
+    return measured;
+  }
+  if (measured === - Infinity) {
+    return n.seedLufs;
+  }
+  let count = n.meter.gatedCount;
+  return (50.0 * n.seedLufs + count * measured) / (50.0 + count);
+}
+
+function update$1(n, input, frames) {
+  if (!n.enabled) {
+    return;
+  }
+  let blocks = n.meter.subBlockCount;
+  process$3(n.meter, input);
+  let audible = n.meter.momentary > -70.0 && n.meter.shortTerm > -70.0;
+  if (n.meter.subBlockCount !== blocks && audible) {
+    let steadyDb = linearToDb(n.steadyGain);
+    update(n.guard, n.meter.momentary + steadyDb, n.meter.shortTerm + steadyDb);
+  }
+  n.integratedLufs = integrated(n.meter);
+  if (n.seedLufs > - Infinity && n.meter.gatedCount >= 50.0 && Math.abs(n.integratedLufs - n.seedLufs) > 4.0) {
+    n.seedLufs = - Infinity;
+  }
+  let integrated$1 = steeringLoudness(n, n.integratedLufs);
+  if (integrated$1 > - Infinity) {
+    let gainDb = clamp(n.targetLufs - integrated$1, n.minGainDb, n.maxGainDb);
+    let blockSmooth = 1.0 - Math.pow(1.0 - n.gainSmooth, frames);
+    n.steadyGain = n.steadyGain + blockSmooth * (dbToLinear(gainDb) - n.steadyGain);
+  }
+  step(n.guard, frames);
+  n.currentGain = n.steadyGain * n.guard.gain;
+}
+
+function resetTrack(n) {
+  restartWindow(n.meter);
+  resetIntegration(n.meter);
+  n.integratedLufs = - Infinity;
+  n.seedLufs = - Infinity;
+}
+
+function seed(n, lufs) {
+  if (lufs >= -70.0 && lufs <= 0.0) {
+    n.seedLufs = lufs;
+    n.steadyGain = dbToLinear(clamp(n.targetLufs - lufs, n.minGainDb, n.maxGainDb));
+    return;
+  }
+}
+
+let Normalizer = {
+  seedWeight: 50.0,
+  seedToleranceLu: 4.0,
+  seedMinLufs: -70.0,
+  seedMaxLufs: 0.0,
+  make: make$5,
+  steeringLoudness: steeringLoudness,
+  update: update$1,
+  resetTrack: resetTrack,
+  seed: seed
+};
+
+function make$6(sampleRate) {
+  return {
+    enabled: true,
+    thresholdDb: -18.0,
+    ratio: 4.0,
+    kneeDb: 4.0,
+    makeupGainDb: 4.0,
+    envelope: -120.0,
+    attackCoef: smoothCoefficient(10.0, sampleRate),
+    releaseCoef: smoothCoefficient(150.0, sampleRate),
+    peakReductionDb: 0.0,
+    sampleRate: sampleRate
+  };
+}
+
+function setAttack(c, attackMs) {
+  c.attackCoef = smoothCoefficient(attackMs, c.sampleRate);
+}
+
+function setRelease(c, releaseMs) {
+  c.releaseCoef = smoothCoefficient(releaseMs, c.sampleRate);
+}
+
+function computeGain(c, inputDb) {
+  if (inputDb < c.thresholdDb - c.kneeDb / 2.0) {
+    return 0.0;
+  }
+  if (inputDb > c.thresholdDb + c.kneeDb / 2.0) {
+    return c.thresholdDb + (inputDb - c.thresholdDb) / c.ratio - inputDb;
+  }
+  let kneeStart = c.thresholdDb - c.kneeDb / 2.0;
+  let x = inputDb - kneeStart;
+  return (1.0 / c.ratio - 1.0) * x * x / (2.0 * c.kneeDb);
+}
+
+function gain(c, level) {
+  let inputDb = linearToDb(level);
+  if (inputDb > c.envelope) {
+    c.envelope = c.envelope + c.attackCoef * (inputDb - c.envelope);
+  } else {
+    c.envelope = c.envelope + c.releaseCoef * (inputDb - c.envelope);
+  }
+  let grDb = computeGain(c, c.envelope);
+  if (- grDb > c.peakReductionDb) {
+    c.peakReductionDb = - grDb;
+  }
+  return dbToLinear(grDb + c.makeupGainDb);
+}
+
+function processSample(c, sample) {
+  return sample * gain(c, Math.abs(sample));
+}
+
+function process$4(c, samples) {
+  if (!c.enabled) {
+    return;
+  }
+  for (let i = 0, i_finish = samples.length; i < i_finish; ++i) {
+    samples[i] = processSample(c, samples[i]);
+  }
+}
+
+let Compressor = {
+  make: make$6,
+  setAttack: setAttack,
+  setRelease: setRelease,
+  computeGain: computeGain,
+  gain: gain,
+  processSample: processSample,
+  process: process$4
+};
+
+function configureChannel(x, filters) {
+  let pair = (start, filterType, freq) => {
+    for (let i = start, i_finish = start + 1 | 0; i <= i_finish; ++i) {
+      configure(filters[i], filterType, freq, x.sampleRate, 0.7071067811865476, 0.0);
+    }
+  };
+  pair(0, "LowPass", x.lowHz);
+  pair(2, "HighPass", x.lowHz);
+  pair(4, "LowPass", x.highHz);
+  pair(6, "HighPass", x.highHz);
+  pair(8, "LowPass", x.highHz);
+  pair(10, "HighPass", x.highHz);
+}
+
+function make$7(sampleRate) {
+  return {
+    sampleRate: sampleRate,
+    lowHz: 200.0,
+    highHz: 2500.0,
+    channels: [],
+    bands: new Float64Array(0)
+  };
+}
+
+function setFrequencies(x, lowHz, highHz) {
+  x.lowHz = lowHz;
+  x.highHz = highHz;
+  x.channels.forEach(filters => configureChannel(x, filters));
+}
+
+function ensureChannels$2(x, count) {
+  if (x.channels.length >= count) {
+    return;
+  }
+  while (x.channels.length < count) {
+    let filters = [];
+    for (let _for = 1; _for <= 12; ++_for) {
+      filters.push(make$1());
+    }
+    configureChannel(x, filters);
+    x.channels.push(filters);
+  };
+  x.bands = new Float64Array(count * 3 | 0);
+}
+
+function split(x, ch, input) {
+  let filters = x.channels[ch];
+  let pair = (start, value) => process$1(filters[start + 1 | 0], process$1(filters[start], value));
+  let low = pair(0, input);
+  let rest = pair(2, input);
+  let offset = ch * 3 | 0;
+  x.bands[offset] = pair(8, low) + pair(10, low);
+  x.bands[offset + 1 | 0] = pair(4, rest);
+  x.bands[offset + 2 | 0] = pair(6, rest);
+}
+
+let Crossover = {
+  bandCount: 3,
+  butterworthQ: 0.7071067811865476,
+  lowSplitLowPass: 0,
+  lowSplitHighPass: 2,
+  highSplitLowPass: 4,
+  highSplitHighPass: 6,
+  allpassLowPass: 8,
+  allpassHighPass: 10,
+  sections: 12,
+  configureChannel: configureChannel,
+  make: make$7,
+  setFrequencies: setFrequencies,
+  ensureChannels: ensureChannels$2,
+  split: split
+};
+
+function make$8(sampleRate) {
+  return {
+    enabled: false,
+    crossover: make$7(sampleRate),
+    compressors: [
+      make$6(sampleRate),
+      make$6(sampleRate),
+      make$6(sampleRate)
+    ],
+    gains: new Float64Array(3)
+  };
+}
+
+function setBands(m, bands) {
+  bands.forEach((band, i) => {
+    if (i >= 3) {
+      return;
+    }
+    let c = m.compressors[i];
+    c.thresholdDb = band.thresholdDb;
+    c.ratio = band.ratio;
+    setAttack(c, band.attackMs);
+    setRelease(c, band.releaseMs);
+  });
+}
+
+function peakReductionDb(m) {
+  let peak = {
+    contents: 0.0
+  };
+  m.compressors.forEach(c => {
+    peak.contents = Math.max(peak.contents, c.peakReductionDb);
+  });
+  return peak.contents;
+}
+
+function clearPeakReduction(m) {
+  m.compressors.forEach(c => {
+    c.peakReductionDb = 0.0;
+  });
+}
+
+function process$5(m, source, output, startGain, gainStep, linkSum) {
+  let count = source.length;
+  let frames = source[0].length;
+  let x = m.crossover;
+  ensureChannels$2(x, count);
+  for (let i = 0; i < frames; ++i) {
+    let g = startGain + gainStep * (i + 1 | 0);
+    for (let ch = 0; ch < count; ++ch) {
+      split(x, ch, source[ch][i] * g);
+    }
+    for (let band = 0; band <= 2; ++band) {
+      let level = 0.0;
+      for (let ch$1 = 0; ch$1 < count; ++ch$1) {
+        let v = x.bands[(ch$1 * 3 | 0) + band | 0];
+        if (linkSum) {
+          level = level + v * v;
+        } else if (Math.abs(v) > level) {
+          level = Math.abs(v);
+        }
+      }
+      let level$1 = linkSum ? Math.sqrt(level) : level;
+      m.gains[band] = gain(m.compressors[band], level$1);
+    }
+    for (let ch$2 = 0; ch$2 < count; ++ch$2) {
+      let offset = ch$2 * 3 | 0;
+      let sum = 0.0;
+      for (let band$1 = 0; band$1 <= 2; ++band$1) {
+        sum = sum + x.bands[offset + band$1 | 0] * m.gains[band$1];
+      }
+      output[ch$2][i] = sum;
+    }
+  }
+}
+
+let Multiband = {
+  make: make$8,
+  setBands: setBands,
+  peakReductionDb: peakReductionDb,
+  clearPeakReduction: clearPeakReduction,
+  process: process$5
+};
+
+function make$9(sampleRate) {
+  let highPass = make$1();
+  let lowPass = make$1();
+  configure(highPass, "HighPass", 300.0, sampleRate, 0.7071067811865476, 0.0);
+  configure(lowPass, "LowPass", 3400.0, sampleRate, 0.7071067811865476, 0.0);
+  return {
+    highPass: highPass,
+    lowPass: lowPass,
+    smoothCoef: smoothCoefficient(20.0, sampleRate),
+    hangover: 250.0 * sampleRate / 1000.0 | 0,
+    bandPower: 0.0,
+    totalPower: 0.0,
+    held: 0
+  };
+}
+
+function process$6(v, sample) {
+  let band = process$1(v.lowPass, process$1(v.highPass, sample));
+  v.bandPower = v.bandPower + v.smoothCoef * (band * band - v.bandPower);
+  v.totalPower = v.totalPower + v.smoothCoef * (sample * sample - v.totalPower);
+  if (v.bandPower > 0.00001 && v.bandPower >= 0.5 * v.totalPower) {
+    v.held = v.hangover;
+  } else if (v.held > 0) {
+    v.held = v.held - 1 | 0;
+  }
+  return v.held > 0;
+}
+
+let VoiceDetector = {
+  lowHz: 300.0,
+  highHz: 3400.0,
+  bandShare: 0.5,
+  floorPower: 0.00001,
+  smoothingMs: 20.0,
+  hangoverMs: 250.0,
+  make: make$9,
+  process: process$6
+};
+
+function make$10(sampleRate) {
+  return {
+    enabled: false,
+    sampleRate: sampleRate,
+    presence: [],
+    voice: make$9(sampleRate),
+    centreGain: dbToLinear(2.0),
+    duckGain: dbToLinear(-6.0),
+    attackCoef: smoothCoefficient(20.0, sampleRate),
+    releaseCoef: smoothCoefficient(400.0, sampleRate),
+    smoothCoef: smoothCoefficient(20.0, sampleRate),
+    duck: 1.0,
+    midPower: 0.0,
+    sidePower: 0.0
+  };
+}
+
+function setEnabled$1(d, enabled) {
+  if (enabled && !d.enabled) {
+    d.duck = 1.0;
+  }
+  d.enabled = enabled;
+}
+
+function ensureChannels$3(d, count) {
+  while (d.presence.length < count) {
+    let filter = make$1();
+    configure(filter, "Peak", 2000.0, d.sampleRate, 0.7, 4.0);
+    d.presence.push(filter);
+  };
+}
+
+function updateDuck(d, speaking) {
+  let target = speaking ? d.duckGain : 1.0;
+  let coef = target < d.duck ? d.attackCoef : d.releaseCoef;
+  d.duck = d.duck + coef * (target - d.duck);
+  return d.duck;
+}
+
+function centre(d, sample) {
+  return process$1(d.presence[0], sample) * d.centreGain;
+}
+
+function process$7(d, output) {
+  let count = output.length;
+  let frames = output[0].length;
+  ensureChannels$3(d, count);
+  if (count === 2) {
+    let left = output[0];
+    let right = output[1];
+    for (let i = 0; i < frames; ++i) {
+      let l = left[i];
+      let r = right[i];
+      let mid = (l + r) * 0.5;
+      let side = (l - r) * 0.5;
+      d.midPower = d.midPower + d.smoothCoef * (mid * mid - d.midPower);
+      d.sidePower = d.sidePower + d.smoothCoef * (side * side - d.sidePower);
+      let voiced = process$6(d.voice, mid);
+      let duck = updateDuck(d, voiced && d.midPower > 2.0 * d.sidePower);
+      let mid$1 = centre(d, mid);
+      let side$1 = side * duck;
+      left[i] = mid$1 + side$1;
+      right[i] = mid$1 - side$1;
+    }
+    return;
+  }
+  if (count === 6) {
+    let centreData = output[2];
+    for (let i$1 = 0; i$1 < frames; ++i$1) {
+      let c = centreData[i$1];
+      let duck$1 = updateDuck(d, process$6(d.voice, c));
+      centreData[i$1] = centre(d, c);
+      for (let ch = 0; ch < count; ++ch) {
+        if (ch !== 2 && ch !== 3) {
+          let data = output[ch];
+          data[i$1] = data[i$1] * duck$1;
+        }
+      }
+    }
+    return;
+  }
+  output.forEach((data, ch) => {
+    let filter = d.presence[ch];
+    for (let i = 0; i < frames; ++i) {
+      data[i] = process$1(filter, data[i]);
+    }
+  });
+}
+
+let DialogueEnhancer = {
+  centreGainDb: 2.0,
+  presenceHz: 2000.0,
+  presenceQ: 0.7,
+  presenceGainDb: 4.0,
+  duckDb: -6.0,
+  duckAttackMs: 20.0,
+  duckReleaseMs: 400.0,
+  surroundChannels: 6,
+  centreChannel: 2,
+  lfeChannel: 3,
+  centreDominance: 2.0,
+  make: make$10,
+  setEnabled: setEnabled$1,
+  ensureChannels: ensureChannels$3,
+  updateDuck: updateDuck,
+  centre: centre,
+  process: process$7
+};
+
+let bandHz = [
+  150.0,
+  400.0,
+  1000.0,
+  2500.0,
+  6000.0
+];
+
+function make$11(sampleRate) {
+  let filters = bandHz.map(hz => {
+    let filter = make$1();
+    configure(filter, "BandPass", hz, sampleRate, 1.0, 0.0);
+    return filter;
+  });
+  let frameSize = Math.round(20.0 * sampleRate / 1000.0) | 0;
+  return {
+    filters: filters,
+    bandEnergy: new Float64Array(bandHz.length),
+    lastBandDb: new Float64Array(bandHz.length),
+    voice: make$9(sampleRate),
+    frameSize: frameSize,
+    windowCoef: 1.0 - Math.exp(- 20.0 / 2000.0),
+    settleFrames: 1500.0 / 20.0 | 0,
+    silenceFrames: 500.0 / 20.0 | 0,
+    position: 0,
+    energy: 0.0,
+    crossings: 0,
+    voicedSamples: 0,
+    lastSample: 0.0,
+    silentRun: 0,
+    frames: 0,
+    zcrMean: 0.0,
+    zcrSquareMean: 0.0,
+    fluxMean: 0.0,
+    fluxSquareMean: 0.0,
+    voicedMean: 0.0,
+    pauseMean: 0.0,
+    powerMean: 0.0,
+    score: 0.5,
+    contentClass: "Unknown"
+  };
+}
+
+function name(contentClass) {
+  switch (contentClass) {
+    case "Unknown" :
+      return "";
+    case "Speech" :
+      return "speech";
+    case "Music" :
+      return "music";
+    case "Mixed" :
+      return "mixed";
+  }
+}
+
+function variation(mean, squareMean) {
+  return Math.sqrt(Math.max(0.0, squareMean - mean * mean)) / Math.max(mean, 0.000001);
+}
+
+function ramp(value, low, high) {
+  return clamp((value - low) / (high - low), 0.0, 1.0);
+}
+
+function classify(c) {
+  c.score = 0.45 * ramp(c.pauseMean, 0.05, 0.3) + 0.25 * c.voicedMean + 0.2 * ramp(variation(c.zcrMean, c.zcrSquareMean), 0.5, 1.5) + 0.1 * ramp(variation(c.fluxMean, c.fluxSquareMean), 1.5, 3.0);
+  let match = c.contentClass;
+  let match$1;
+  switch (match) {
+    case "Unknown" :
+      match$1 = [
+        0.6,
+        0.4
+      ];
+      break;
+    case "Speech" :
+      match$1 = [
+        0.6 - 0.05,
+        0.4 - 0.05
+      ];
+      break;
+    case "Music" :
+      match$1 = [
+        0.6 + 0.05,
+        0.4 + 0.05
+      ];
+      break;
+    case "Mixed" :
+      match$1 = [
+        0.6 + 0.05,
+        0.4 - 0.05
+      ];
+      break;
+  }
+  c.contentClass = c.score >= match$1[0] ? "Speech" : (
+      c.score <= match$1[1] ? "Music" : "Mixed"
+    );
+}
+
+function finishFrame(c) {
+  let size = c.frameSize;
+  let power = c.energy / size;
+  let average = (mean, value) => mean + Math.max(c.windowCoef, 1.0 / (c.frames + 1 | 0)) * (value - mean);
+  if (power < 0.000001) {
+    c.silentRun = c.silentRun + 1 | 0;
+    if (c.silentRun <= c.silenceFrames && c.frames > 0) {
+      c.pauseMean = average(c.pauseMean, 1.0);
+    }
+  } else {
+    c.silentRun = 0;
+    let zcr = c.crossings / size;
+    let flux = 0.0;
+    for (let b = 0, b_finish = c.filters.length; b < b_finish; ++b) {
+      let db = 10.0 * Math.log10(c.bandEnergy[b] / size + 0.000000000001);
+      flux = flux + Math.max(0.0, db - c.lastBandDb[b]);
+      c.lastBandDb[b] = db;
+    }
+    let flux$1 = flux / c.filters.length;
+    let pause = c.frames > 0 && power < 0.1 * c.powerMean ? 1.0 : 0.0;
+    c.zcrMean = average(c.zcrMean, zcr);
+    c.zcrSquareMean = average(c.zcrSquareMean, zcr * zcr);
+    c.fluxMean = average(c.fluxMean, flux$1);
+    c.fluxSquareMean = average(c.fluxSquareMean, flux$1 * flux$1);
+    c.voicedMean = average(c.voicedMean, (c.voicedSamples << 1) > c.frameSize ? 1.0 : 0.0);
+    c.pauseMean = average(c.pauseMean, pause);
+    c.powerMean = average(c.powerMean, power);
+    c.frames = c.frames + 1 | 0;
+    if (c.frames >= c.settleFrames) {
+      classify(c);
+    }
+  }
+  c.position = 0;
+  c.energy = 0.0;
+  c.crossings = 0;
+  c.voicedSamples = 0;
+  c.bandEnergy.fill(0.0);
+}
+
+function process$8(c, input) {
+  let count = input.length;
+  let scale = 1.0 / count;
+  for (let i = 0, i_finish = input[0].length; i < i_finish; ++i) {
+    let sum = 0.0;
+    for (let ch = 0; ch < count; ++ch) {
+      sum = sum + input[ch][i];
+    }
+    let x = sum * scale;
+    c.energy = c.energy + x * x;
+    if (x * c.lastSample < 0.0) {
+      c.crossings = c.crossings + 1 | 0;
+    }
+    c.lastSample = x;
+    for (let b = 0, b_finish = c.filters.length; b < b_finish; ++b) {
+      let y = process$1(c.filters[b], x);
+      c.bandEnergy[b] = c.bandEnergy[b] + y * y;
+    }
+    if (process$6(c.voice, x)) {
+      c.voicedSamples = c.voicedSamples + 1 | 0;
+    }
+    c.position = c.position + 1 | 0;
+    if (c.position >= c.frameSize) {
+      finishFrame(c);
+    }
+  }
+}
+
+let ContentClassifier = {
+  frameMs: 20.0,
+  windowMs: 2000.0,
+  bandHz: bandHz,
+  bandQ: 1.0,
+  silencePower: 0.000001,
+  silenceMs: 500.0,
+  pauseRatio: 0.1,
+  settleMs: 1500.0,
+  speechAbove: 0.6,
+  musicBelow: 0.4,
+  hysteresis: 0.05,
+  make: make$11,
+  name: name,
+  variation: variation,
+  ramp: ramp,
+  classify: classify,
+  finishFrame: finishFrame,
+  process: process$8
+};
+
+let frequencies = [
+  31.0,
+  62.0,
+  125.0,
+  250.0,
+  500.0,
+  1000.0,
+  2000.0,
+  4000.0,
+  8000.0,
+  16000.0
+];
+
+function make$12(sampleRate) {
+  return {
+    sampleRate: sampleRate,
+    adaptive: false,
+    gains: new Float32Array(10),
+    targetGains: new Float32Array(10),
+    nextGains: new Float32Array(10),
+    channels: []
+  };
+}
+
+function configureFilters(eq, filters) {
+  filters.forEach((f, b) => configure(f, "Peak", frequencies[b], eq.sampleRate, 1.414, eq.gains[b]));
+}
+
+function applyGains(eq, gains) {
+  for (let b = 0; b <= 9; ++b) {
+    eq.gains[b] = gains[b];
+  }
+  eq.channels.forEach(filters => configureFilters(eq, filters));
+}
+
+function setGains(eq, gains, adaptive) {
+  eq.adaptive = adaptive;
+  for (let b = 0; b <= 9; ++b) {
+    let gain = b < gains.length ? gains[b] : 0.0;
+    eq.targetGains[b] = isNaN(gain) ? 0.0 : clamp(gain, - 24.0, 24.0);
+  }
+  if (!adaptive) {
+    return applyGains(eq, eq.targetGains);
+  }
+}
+
+function ensureChannels$4(eq, count) {
+  while (eq.channels.length < count) {
+    let filters = frequencies.map(param => make$1());
+    configureFilters(eq, filters);
+    eq.channels.push(filters);
+  };
+}
+
+function adapt(eq) {
+  let changed = false;
+  for (let b = 0; b <= 9; ++b) {
+    let target = eq.targetGains[b];
+    let gain = eq.gains[b];
+    let diff = target - gain;
+    eq.nextGains[b] = Math.abs(diff) < 0.01 ? target : gain + 0.01 * diff;
+    if (eq.nextGains[b] !== gain) {
+      changed = true;
+    }
+  }
+  if (changed) {
+    return applyGains(eq, eq.nextGains);
+  }
+}
+
+function active$1(eq) {
+  let active$2 = false;
+  for (let b = 0; b <= 9; ++b) {
+    if (eq.gains[b] !== 0.0 || eq.targetGains[b] !== 0.0) {
+      active$2 = true;
+    }
+  }
+  return active$2;
+}
+
+function process$9(eq, output) {
+  if (eq.adaptive) {
+    adapt(eq);
+  }
+  if (active$1(eq)) {
+    ensureChannels$4(eq, output.length);
+    output.forEach((data, ch) => {
+      let filters = eq.channels[ch];
+      for (let i = 0, i_finish = data.length; i < i_finish; ++i) {
+        let s = data[i];
+        for (let b = 0; b <= 9; ++b) {
+          s = process$1(filters[b], s);
+        }
+        data[i] = s;
+      }
+    });
+    return;
+  }
+}
+
+let Equalizer = {
+  frequencies: frequencies,
+  bandCount: 10,
+  q: 1.414,
+  adaptationRate: 0.01,
+  maxGainDb: 24.0,
+  make: make$12,
+  configureFilters: configureFilters,
+  applyGains: applyGains,
+  setGains: setGains,
+  ensureChannels: ensureChannels$4,
+  adapt: adapt,
+  active: active$1,
+  process: process$9
+};
+
+function latency(l) {
+  return l.lookahead + 6 | 0;
+}
+
+function resetChannel(l, c) {
+  c.history = new Float32Array(12);
+  c.historyIndex = 0;
+  c.delay = new Float32Array(l.lookahead + 6 | 0);
+  c.delayIndex = 0;
+}
+
+function configure$1(l) {
+  let lookahead = Math.max(1, Math.round(l.lookaheadMs * l.sampleRate / 1000.0) | 0);
+  l.lookahead = lookahead;
+  l.attack = Math.max(1, Math.min(lookahead, Math.round(l.attackMs * l.sampleRate / 1000.0) | 0));
+  l.releaseCoef = smoothCoefficient(l.releaseMs, l.sampleRate);
+  l.holdValues = new Float32Array(lookahead + 2 | 0);
+  l.holdTimes = new Float64Array(lookahead + 2 | 0);
+  l.holdHead = 0;
+  l.holdSize = 0;
+  l.time = 0.0;
+  l.boxBuffer = new Float32Array(l.attack);
+  l.boxBuffer.fill(1.0);
+  l.boxIndex = 0;
+  l.boxSum = l.attack;
+  l.envelope = 1.0;
+  l.channels.forEach(c => resetChannel(l, c));
+}
+
+function make$13(sampleRate) {
+  let taps = 48;
+  let centre = (taps - 1 | 0) / 2.0;
+  let phases = [];
+  for (let p = 0; p <= 3; ++p) {
+    let phase = new Float32Array(12);
+    for (let k = 0; k <= 11; ++k) {
+      let n = (k << 2) + p | 0;
+      let x = (n - centre) / 4;
+      let sinc = x === 0.0 ? 1.0 : Math.sin(Math.PI * x) / (Math.PI * x);
+      let span = taps - 1 | 0;
+      let blackman = 0.42 - 0.5 * Math.cos(2.0 * Math.PI * n / span) + 0.08 * Math.cos(4.0 * Math.PI * n / span);
+      phase[k] = sinc * blackman;
+    }
+    phases.push(phase);
+  }
+  let l = {
+    sampleRate: sampleRate,
+    ceilingDb: -0.5,
+    attackMs: 5.0,
+    releaseMs: 50.0,
+    lookaheadMs: 5.0,
+    phases: phases,
+    channels: [],
+    gain: 1.0,
+    lookahead: 1,
+    attack: 1,
+    releaseCoef: 1.0,
+    holdValues: new Float32Array(0),
+    holdTimes: new Float64Array(0),
+    holdHead: 0,
+    holdSize: 0,
+    time: 0.0,
+    boxBuffer: new Float32Array(0),
+    boxIndex: 0,
+    boxSum: 0.0,
+    envelope: 1.0,
+    lowestGain: 1.0
+  };
+  configure$1(l);
+  return l;
+}
+
+function setParams(l, params) {
+  let ceilingDb = params.ceilingDb;
+  if (ceilingDb !== undefined) {
+    l.ceilingDb = ceilingDb;
+  }
+  let changed = (value, current) => {
+    if (value !== undefined) {
+      return value !== current;
+    } else {
+      return false;
+    }
+  };
+  if (!(changed(params.lookaheadMs, l.lookaheadMs) || changed(params.attackMs, l.attackMs) || changed(params.releaseMs, l.releaseMs))) {
+    return;
+  }
+  let ms = params.lookaheadMs;
+  if (ms !== undefined) {
+    l.lookaheadMs = clamp(ms, 1.0, 100.0);
+  }
+  let ms$1 = params.attackMs;
+  if (ms$1 !== undefined) {
+    l.attackMs = ms$1;
+  }
+  let ms$2 = params.releaseMs;
+  if (ms$2 !== undefined) {
+    l.releaseMs = ms$2;
+  }
+  configure$1(l);
+}
+
+function ensureChannels$5(l, count) {
+  while (l.channels.length < count) {
+    let c = {
+      history: new Float32Array(0),
+      historyIndex: 0,
+      delay: new Float32Array(0),
+      delayIndex: 0
+    };
+    resetChannel(l, c);
+    l.channels.push(c);
+  };
+}
+
+function truePeak(l, c, x) {
+  c.history[c.historyIndex] = x;
+  let peak = Math.abs(x);
+  for (let p = 0; p <= 3; ++p) {
+    let h = l.phases[p];
+    let acc = 0.0;
+    let idx = c.historyIndex;
+    for (let k = 0; k <= 11; ++k) {
+      acc = acc + h[k] * c.history[idx];
+      idx = idx === 0 ? 11 : idx - 1 | 0;
+    }
+    let abs = Math.abs(acc);
+    if (abs > peak) {
+      peak = abs;
+    }
+  }
+  c.historyIndex = (c.historyIndex + 1 | 0) === 12 ? 0 : c.historyIndex + 1 | 0;
+  return peak;
+}
+
+function holdMinimum(l, value) {
+  let size = l.holdValues.length;
+  let wrap = index => {
+    if (index >= size) {
+      return index - size | 0;
+    } else {
+      return index;
+    }
+  };
+  let searching = true;
+  while (searching && l.holdSize > 0) {
+    if (l.holdValues[wrap((l.holdHead + l.holdSize | 0) - 1 | 0)] < value) {
+      searching = false;
+    } else {
+      l.holdSize = l.holdSize - 1 | 0;
+    }
+  };
+  let tail = wrap(l.holdHead + l.holdSize | 0);
+  l.holdValues[tail] = value;
+  l.holdTimes[tail] = l.time;
+  l.holdSize = l.holdSize + 1 | 0;
+  if (l.holdTimes[l.holdHead] <= l.time - l.lookahead - 1.0) {
+    l.holdHead = wrap(l.holdHead + 1 | 0);
+    l.holdSize = l.holdSize - 1 | 0;
+  }
+  l.time = l.time + 1.0;
+  return l.holdValues[l.holdHead];
+}
+
+function process$10(l, output) {
+  let count = output.length;
+  let frames = output[0].length;
+  let ceiling = dbToLinear(l.ceilingDb);
+  let delayLength = l.lookahead + 6 | 0;
+  ensureChannels$5(l, count);
+  for (let i = 0; i < frames; ++i) {
+    let peak = 0.0;
+    for (let ch = 0; ch < count; ++ch) {
+      let x = output[ch][i];
+      let tp = truePeak(l, l.channels[ch], x);
+      if (tp > peak) {
+        peak = tp;
+      }
+    }
+    let required = peak > ceiling ? ceiling / peak : 1.0;
+    let held = holdMinimum(l, required);
+    if (held < l.envelope) {
+      l.envelope = held;
+    } else {
+      l.envelope = l.envelope + l.releaseCoef * (held - l.envelope);
+    }
+    l.boxSum = l.boxSum + l.envelope - l.boxBuffer[l.boxIndex];
+    l.boxBuffer[l.boxIndex] = l.envelope;
+    l.boxIndex = (l.boxIndex + 1 | 0) === l.attack ? 0 : l.boxIndex + 1 | 0;
+    l.gain = l.boxSum / l.attack;
+    if (l.gain < l.lowestGain) {
+      l.lowestGain = l.gain;
+    }
+    for (let ch$1 = 0; ch$1 < count; ++ch$1) {
+      let c = l.channels[ch$1];
+      let data = output[ch$1];
+      let delayed = c.delay[c.delayIndex];
+      c.delay[c.delayIndex] = data[i];
+      c.delayIndex = (c.delayIndex + 1 | 0) === delayLength ? 0 : c.delayIndex + 1 | 0;
+      data[i] = delayed * l.gain;
+    }
+  }
+}
+
+let Limiter = {
+  oversample: 4,
+  tapsPerPhase: 12,
+  detectorDelay: 6,
+  latency: latency,
+  resetChannel: resetChannel,
+  configure: configure$1,
+  make: make$13,
+  setParams: setParams,
+  ensureChannels: ensureChannels$5,
+  truePeak: truePeak,
+  holdMinimum: holdMinimum,
+  process: process$10
+};
+
+function make$14(port) {
+  return {
+    port: port,
+    sampleRate: sampleRate,
+    bypass: false,
+    normalizer: make$5(sampleRate),
+    compressor: make$6(sampleRate),
+    sideCompressor: make$6(sampleRate),
+    linkSum: false,
+    midSide: false,
+    multiband: make$8(sampleRate),
+    dialogue: make$10(sampleRate),
+    contentAware: false,
+    contentProfiles: undefined,
+    classifier: make$11(sampleRate),
+    speechBlend: 0.5,
+    appliedBlend: -1.0,
+    blendSmooth: smoothCoefficient(3000.0, sampleRate),
+    contentGains: frequencies.map(param => 0.0),
+    equalizer: make$12(sampleRate),
+    limiter: make$13(sampleRate),
+    noiseReducer: make$2(sampleRate),
+    outputLoudness: make$3(sampleRate),
+    latency: 0,
+    meterInterval: Math.round(sampleRate * 0.05) | 0,
+    meterFrames: 0,
+    meterIn: {
+      peak: 0.0,
+      sumSquares: 0.0,
+      count: 0
+    },
+    meterOut: {
+      peak: 0.0,
+      sumSquares: 0.0,
+      count: 0
+    }
+  };
+}
+
+function setBypass(p, bypass) {
+  p.bypass = bypass;
+}
+
+function setTargetLoudness(p, lufs) {
+  p.normalizer.targetLufs = lufs;
+}
+
+function setPreset(p, data) {
+  let apply = (value, set) => {
+    if (value !== undefined) {
+      return set(value);
+    }
+  };
+  apply(data.targetLufs, lufs => {
+    p.normalizer.targetLufs = lufs;
+  });
+  let enabled = data.jumpGuard;
+  if (enabled !== undefined) {
+    setEnabled(p.normalizer.guard, enabled);
+  }
+  apply(data.jumpThresholdDb, db => {
+    p.normalizer.guard.thresholdDb = db;
+  });
+  [
+    p.compressor,
+    p.sideCompressor
+  ].forEach(c => {
+    apply(data.ratio, ratio => {
+      c.ratio = ratio;
+    });
+    apply(data.thresholdDb, db => {
+      c.thresholdDb = db;
+    });
+    apply(data.attackMs, ms => setAttack(c, ms));
+    apply(data.releaseMs, ms => setRelease(c, ms));
+  });
+  [
+    p.compressor,
+    p.sideCompressor
+  ].concat(p.multiband.compressors).forEach(c => {
+    apply(data.kneeDb, db => {
+      c.kneeDb = db;
+    });
+    apply(data.makeupDb, db => {
+      c.makeupGainDb = db;
+    });
+  });
+  let enabled$1 = data.multiband;
+  if (enabled$1 !== undefined) {
+    p.multiband.enabled = enabled$1;
+  }
+  let bands = data.bands;
+  if (bands !== undefined) {
+    setBands(p.multiband, bands);
+  }
+  let hz = data.crossoverHz;
+  if (hz !== undefined && hz.length === 2) {
+    setFrequencies(p.multiband.crossover, hz[0], hz[1]);
+  }
+  let link = data.stereoLink;
+  if (link !== undefined) {
+    p.linkSum = link === "sum";
+  }
+  let enabled$2 = data.midSide;
+  if (enabled$2 !== undefined) {
+    p.midSide = enabled$2;
+  }
+  let enabled$3 = data.dialogue;
+  if (enabled$3 !== undefined) {
+    setEnabled$1(p.dialogue, enabled$3);
+  }
+  let enabled$4 = data.contentAware;
+  if (enabled$4 !== undefined) {
+    p.contentAware = enabled$4;
+  }
+  let profiles = data.contentProfiles;
+  if (profiles !== undefined) {
+    p.contentProfiles = profiles;
+  }
+  p.appliedBlend = -1.0;
+  setParams(p.limiter, {
+    ceilingDb: data.ceilingDb,
+    lookaheadMs: data.lookaheadMs
+  });
+  let adaptive = data.eqAdaptive;
+  let adaptive$1 = adaptive !== undefined ? adaptive : p.equalizer.adaptive;
+  let gains = data.eqGains;
+  if (gains !== undefined) {
+    setGains(p.equalizer, gains, adaptive$1);
+  } else {
+    p.equalizer.adaptive = adaptive$1;
+  }
+  let enabled$5 = data.noiseReduction;
+  if (enabled$5 !== undefined) {
+    p.noiseReducer.enabled = enabled$5;
+    return;
+  }
+}
+
+function handleMessage(p, data) {
+  let match = data.type;
+  switch (match) {
+    case "RESET_LOUDNESS" :
+      let match$1 = data.scope;
+      if (match$1 === undefined) {
+        return;
+      }
+      switch (match$1) {
+        case "track" :
+          return resetTrack(p.normalizer);
+        case "window" :
+          restartWindow(p.normalizer.meter);
+          return restartWindow(p.outputLoudness);
+        default:
+          return;
+      }
+    case "SEED_LOUDNESS" :
+      let lufs = data.integratedLufs;
+      if (lufs !== undefined) {
+        return seed(p.normalizer, lufs);
+      } else {
+        return;
+      }
+    case "SET_BYPASS" :
+      let value = data.value;
+      if (value !== undefined) {
+        p.bypass = value;
+        return;
+      } else {
+        return;
+      }
+    case "SET_LIMITER" :
+      return setParams(p.limiter, {
+        ceilingDb: data.ceilingDb,
+        lookaheadMs: data.lookaheadMs,
+        attackMs: data.attackMs,
+        releaseMs: data.releaseMs
+      });
+    case "SET_LOUDNESS_WINDOW" :
+      let seconds = data.seconds;
+      if (seconds !== undefined) {
+        return setWindow(p.normalizer.meter, seconds);
+      } else {
+        return;
+      }
+    case "SET_NOISE_PROFILE" :
+      return setProfile(p.noiseReducer, data.profile);
+    case "SET_PRESET" :
+      return setPreset(p, data);
+    case "START_NOISE_LEARN" :
+      return startLearning(p.noiseReducer);
+    case "STOP_NOISE_LEARN" :
+      let profile = stopLearning(p.noiseReducer);
+      let profile$1 = profile !== undefined ? ({
+          floorDb: profile.floorDb,
+          bands: Array.from(profile.bands),
+          frames: profile.frames
+        }) : null;
+      let message = {
+        type: "NOISE_PROFILE",
+        profile: profile$1
+      };
+      p.port.postMessage(message);
+      return;
+    default:
+      return;
+  }
+}
+
+function accumulateLevels(input, m) {
+  input.forEach(data => {
+    let len = data.length;
+    for (let i = 0; i < len; ++i) {
+      let s = data[i];
+      let abs = Math.abs(s);
+      if (abs > m.peak) {
+        m.peak = abs;
+      }
+      m.sumSquares = m.sumSquares + s * s;
+    }
+    m.count = m.count + len | 0;
+  });
+}
+
+function rms(m) {
+  if (m.count > 0) {
+    return Math.sqrt(m.sumSquares / m.count);
+  } else {
+    return 0.0;
+  }
+}
+
+function resetMeter(m) {
+  m.peak = 0.0;
+  m.sumSquares = 0.0;
+  m.count = 0;
+}
+
+function reportLatency(p) {
+  let latency = p.bypass ? 0 : (
+      active(p.noiseReducer) ? (p.limiter.lookahead + 6 | 0) + 1024 | 0 : p.limiter.lookahead + 6 | 0
+    );
+  if (latency === p.latency) {
+    return;
+  }
+  p.latency = latency;
+  let message_ms = latency * 1000.0 / p.sampleRate;
+  let message = {
+    type: "LATENCY",
+    samples: latency,
+    ms: message_ms
+  };
+  p.port.postMessage(message);
+}
+
+function reportLevels(p, frames) {
+  p.meterFrames = p.meterFrames + frames | 0;
+  if (p.meterFrames < p.meterInterval) {
+    return;
+  }
+  let message_inputSilent = p.meterIn.peak === 0.0;
+  let message_inputPeak = linearToDb(p.meterIn.peak);
+  let message_inputRms = linearToDb(rms(p.meterIn));
+  let message_outputPeak = linearToDb(p.meterOut.peak);
+  let message_outputRms = linearToDb(rms(p.meterOut));
+  let message_gainReductionDb = Math.max(Math.max(p.compressor.peakReductionDb, p.sideCompressor.peakReductionDb), peakReductionDb(p.multiband));
+  let message_limiterReductionDb = - linearToDb(p.limiter.lowestGain);
+  let message_normalizerGainDb = p.bypass ? 0.0 : linearToDb(p.normalizer.currentGain);
+  let message_integratedLufs = p.normalizer.integratedLufs;
+  let message_loudnessSeconds = p.normalizer.meter.gatedCount / 10.0;
+  let message_inputShortTermLufs = p.bypass ? p.outputLoudness.shortTerm : p.normalizer.meter.shortTerm;
+  let message_outputShortTermLufs = p.outputLoudness.shortTerm;
+  let message_contentClass = p.contentAware ? name(p.classifier.contentClass) : "";
+  let message_loudnessJumps = p.normalizer.guard.jumps;
+  let message = {
+    type: "LEVELS",
+    inputSilent: message_inputSilent,
+    inputPeak: message_inputPeak,
+    inputRms: message_inputRms,
+    outputPeak: message_outputPeak,
+    outputRms: message_outputRms,
+    gainReductionDb: message_gainReductionDb,
+    limiterReductionDb: message_limiterReductionDb,
+    normalizerGainDb: message_normalizerGainDb,
+    integratedLufs: message_integratedLufs,
+    loudnessSeconds: message_loudnessSeconds,
+    inputShortTermLufs: message_inputShortTermLufs,
+    outputShortTermLufs: message_outputShortTermLufs,
+    contentClass: message_contentClass,
+    loudnessJumps: message_loudnessJumps
+  };
+  p.port.postMessage(message);
+  p.meterFrames = 0;
+  p.compressor.peakReductionDb = 0.0;
+  p.sideCompressor.peakReductionDb = 0.0;
+  clearPeakReduction(p.multiband);
+  p.limiter.lowestGain = 1.0;
+  p.normalizer.guard.jumps = 0;
+  resetMeter(p.meterIn);
+  resetMeter(p.meterOut);
+}
+
+function compress(p, source, output, startGain, gainStep) {
+  let count = source.length;
+  let frames = source[0].length;
+  if (p.multiband.enabled) {
+    return process$5(p.multiband, source, output, startGain, gainStep, p.linkSum);
+  }
+  if (p.midSide && count === 2) {
+    let left = source[0];
+    let right = source[1];
+    let outLeft = output[0];
+    let outRight = output[1];
+    for (let i = 0; i < frames; ++i) {
+      let g = startGain + gainStep * (i + 1 | 0);
+      let l = left[i] * g;
+      let r = right[i] * g;
+      let mid = (l + r) * 0.5;
+      let side = (l - r) * 0.5;
+      let mid$1 = mid * gain(p.compressor, Math.abs(mid));
+      let side$1 = side * gain(p.sideCompressor, Math.abs(side));
+      outLeft[i] = mid$1 + side$1;
+      outRight[i] = mid$1 - side$1;
+    }
+    return;
+  }
+  for (let i$1 = 0; i$1 < frames; ++i$1) {
+    let g$1 = startGain + gainStep * (i$1 + 1 | 0);
+    let level = 0.0;
+    for (let ch = 0; ch < count; ++ch) {
+      let x = source[ch][i$1] * g$1;
+      if (p.linkSum) {
+        level = level + x * x;
+      } else if (Math.abs(x) > level) {
+        level = Math.abs(x);
+      }
+    }
+    let level$1 = p.linkSum ? Math.sqrt(level) : level;
+    let gain$1 = g$1 * gain(p.compressor, level$1);
+    for (let ch$1 = 0; ch$1 < count; ++ch$1) {
+      let x$1 = source[ch$1][i$1];
+      output[ch$1][i$1] = x$1 * gain$1;
+    }
+  }
+}
+
+function adaptToContent(p, input, frames) {
+  let match = p.contentProfiles;
+  if (match === undefined) {
+    return;
+  }
+  let music = match.music;
+  let speech = match.speech;
+  process$8(p.classifier, input);
+  let match$1 = p.classifier.contentClass;
+  let target;
+  switch (match$1) {
+    case "Speech" :
+      target = 1.0;
+      break;
+    case "Music" :
+      target = 0.0;
+      break;
+    case "Unknown" :
+    case "Mixed" :
+      target = 0.5;
+      break;
+  }
+  let blockSmooth = 1.0 - Math.pow(1.0 - p.blendSmooth, frames);
+  p.speechBlend = p.speechBlend + blockSmooth * (target - p.speechBlend);
+  if (Math.abs(p.speechBlend - p.appliedBlend) <= 0.001) {
+    return;
+  }
+  let b = p.speechBlend;
+  let blend = (speechValue, musicValue) => musicValue + (speechValue - musicValue) * b;
+  let lufs = blend(speech.targetLufs, music.targetLufs);
+  p.normalizer.targetLufs = lufs;
+  [
+    p.compressor,
+    p.sideCompressor
+  ].forEach(c => {
+    c.ratio = blend(speech.ratio, music.ratio);
+    c.thresholdDb = blend(speech.thresholdDb, music.thresholdDb);
+    setAttack(c, blend(speech.attackMs, music.attackMs));
+    setRelease(c, blend(speech.releaseMs, music.releaseMs));
+  });
+  p.contentGains.forEach((param, band) => {
+    let gain = gains => {
+      if (band < gains.length) {
+        return gains[band];
+      } else {
+        return 0.0;
+      }
+    };
+    p.contentGains[band] = blend(gain(speech.eqGains), gain(music.eqGains));
+  });
+  setGains(p.equalizer, p.contentGains, p.equalizer.adaptive);
+  p.appliedBlend = b;
+}
+
+function process$11(p, inputs, outputs) {
+  let input = inputs[0];
+  let output = outputs[0];
+  if (input.length !== 0 && input[0].length > 0) {
+    accumulateLevels(input, p.meterIn);
+    if (p.contentAware && !p.bypass) {
+      adaptToContent(p, input, input[0].length);
+    }
+    let source = !p.bypass && active(p.noiseReducer) ? (process$2(p.noiseReducer, input, output), output) : input;
+    let frames = input[0].length;
+    let startGain = p.normalizer.currentGain;
+    if (!p.bypass) {
+      update$1(p.normalizer, source, frames);
+    }
+    let gainStep = (p.normalizer.currentGain - startGain) / frames;
+    if (p.bypass) {
+      source.forEach((inCh, ch) => {
+        output[ch].set(inCh);
+      });
+    } else {
+      compress(p, source, output, startGain, gainStep);
+    }
+    if (!p.bypass) {
+      if (p.dialogue.enabled) {
+        process$7(p.dialogue, output);
+      }
+      process$9(p.equalizer, output);
+      process$10(p.limiter, output);
+    }
+    reportLatency(p);
+    accumulateLevels(output, p.meterOut);
+    process$3(p.outputLoudness, output);
+    reportLevels(p, frames);
+  }
+  return true;
+}
+
+let VoluModProcessor = {
+  make: make$14,
+  setBypass: setBypass,
+  setTargetLoudness: setTargetLoudness,
+  setPreset: setPreset,
+  handleMessage: handleMessage,
+  accumulateLevels: accumulateLevels,
+  rms: rms,
+  resetMeter: resetMeter,
+  reportLatency: reportLatency,
+  reportLevels: reportLevels,
+  compress: compress,
+  adaptToContent: adaptToContent,
+  process: process$11
+};
+
+let makeProcessorClass = (function (make, onMessage, render) {
+    return class extends AudioWorkletProcessor {
+      constructor() {
+        super();
+        this.state = make(this.port);
+        this.port.onmessage = (e) => onMessage(this.state, e.data);
+      }
+
+      process(inputs, outputs) {
+        return render(this.state, inputs, outputs);
+      }
+    };
+  });
+
+registerProcessor("volumod-processor", makeProcessorClass(make$14, handleMessage, process$11));
+
+export {
+  $$Float32Array,
+  $$Float64Array,
+  $$Int32Array,
+  DSP,
+  EnvelopeFollower,
+  BiquadFilter,
+  NoiseReducer,
+  LoudnessMeter,
+  JumpGuard,
+  Normalizer,
+  Compressor,
+  Crossover,
+  Multiband,
+  VoiceDetector,
+  DialogueEnhancer,
+  ContentClassifier,
+  Equalizer,
+  Limiter,
+  VoluModProcessor,
+  makeProcessorClass,
+}
+/*  Not a pure module */